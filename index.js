@@ -121,6 +121,8 @@ app.use(
     origin: ["http://localhost:5173","https://coderscup-attendance-frontend.vercel.app",
       "https://attendance.acmnuceskhi.com","www.attendance.acmnuceskhi.com"],
     credentials: true,
+    // team listing pagination
+    exposedHeaders: ["X-Total-Count", "X-Next-Cursor"],
   })
 );
 
@@ -235,15 +237,4 @@ if (monitoringRoutes) {
   app.use("/admin/monitoring", monitoringRoutes);
 }
 
-app.post("/addteam", async (req, res) => {
-  try {
-    const { DevDayAttendance } = require("./models/Models");
-    const newAttendance = new DevDayAttendance(req.body);
-    const savedAttendance = await newAttendance.save();
-    res.status(201).json(savedAttendance);
-  } catch (err) {
-    res.status(400).json({ message: err.message });
-  }
-});
-
 module.exports = app;
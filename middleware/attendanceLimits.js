@@ -0,0 +1,44 @@
+// Rate limits for the public attendance endpoints
+const { createRateLimiter, createLockout } = require("./rateLimiter");
+
+const MINUTE = 60 * 1000;
+
+// generous, everyone on the venue Wi-Fi shares one address
+const perIp = createRateLimiter({
+  name: "attendance-ip",
+  windowMs: MINUTE,
+  max: 120,
+});
+
+// a team needs a challenge plus a mark or checkout per attempt
+const perAttCode = createRateLimiter({
+  name: "attendance-att-code",
+  windowMs: MINUTE,
+  max: 20,
+  keyGenerator: (req) =>
+    req.body && typeof req.body.att_code === "string" ? req.body.att_code : null,
+  message: "Too many attempts for this team code, please try again later",
+});
+
+// guessing att codes, first lock is a minute and doubles up to an hour.
+// Counted per address, so the threshold leaves room for a venue's worth of
+// typos behind one Wi-Fi address.
+const unknownTeam = createLockout({
+  name: "unknown-team",
+  threshold: 30,
+  windowMs: 15 * MINUTE,
+  baseLockMs: MINUTE,
+  maxLockMs: 60 * MINUTE,
+  message: "Too many unknown team codes, please try again later",
+});
+
+const attendanceLimits = [unknownTeam.middleware, perIp, perAttCode];
+
+// clears every counter, for tests
+function resetAttendanceLimits() {
+  perIp.reset();
+  perAttCode.reset();
+  unknownTeam.reset();
+}
+
+module.exports = { attendanceLimits, unknownTeam, resetAttendanceLimits };
@@ -0,0 +1,141 @@
+const logger = require("../utils/logger")("RateLimiter");
+
+const SWEEP_INTERVAL = 60 * 1000; // how often expired counters are dropped
+
+// Drops entries whose expiry has passed, at most once per SWEEP_INTERVAL
+function createSweeper(entries, expiryOf) {
+  let nextSweep = 0;
+  return (now) => {
+    if (now < nextSweep) return;
+    nextSweep = now + SWEEP_INTERVAL;
+    for (const [key, entry] of entries) {
+      if (expiryOf(entry) < now) entries.delete(key);
+    }
+  };
+}
+
+function tooManyRequests(res, message, retryAfterMs) {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ message, retryAfter });
+}
+
+/**
+ * Fixed-window rate limiting middleware
+ * @param {Object} policy
+ * @param {string} policy.name - Shown in logs
+ * @param {number} policy.windowMs - Window length in milliseconds
+ * @param {number} policy.max - Requests allowed per key per window
+ * @param {Function} [policy.keyGenerator] - (req) => key to count against,
+ *   requests without a key are not limited. Defaults to the client IP.
+ * @param {string} [policy.message]
+ * @returns {Function} Express middleware, with reset() to clear all counters
+ */
+function createRateLimiter({
+  name,
+  windowMs,
+  max,
+  keyGenerator = (req) => req.ip,
+  message = "Too many requests, please try again later",
+}) {
+  const counts = new Map(); // key -> { count, resetAt }
+  const sweep = createSweeper(counts, (record) => record.resetAt);
+
+  function rateLimiter(req, res, next) {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    sweep(now);
+    let record = counts.get(key);
+    if (!record || record.resetAt < now) {
+      record = { count: 0, resetAt: now + windowMs };
+      counts.set(key, record);
+    }
+
+    if (record.count >= max) {
+      logger.warn(`Rate limit ${name} exceeded for ${logger.val(key)}`);
+      return tooManyRequests(res, message, record.resetAt - now);
+    }
+
+    record.count++;
+    next();
+  }
+
+  rateLimiter.reset = () => counts.clear();
+  return rateLimiter;
+}
+
+/**
+ * Progressive lockout for repeated failures (e.g. guessing att codes). Once a
+ * key reaches the failure threshold it is locked out, and each further failure
+ * after a lockout doubles the lock up to maxLockMs. Failures are forgotten
+ * windowMs after the last one.
+ * @param {Object} policy
+ * @param {string} policy.name - Shown in logs
+ * @param {number} policy.threshold - Failures before the first lockout
+ * @param {number} policy.windowMs - How long failures are remembered
+ * @param {number} policy.baseLockMs - Length of the first lockout
+ * @param {number} policy.maxLockMs - Longest lockout
+ * @param {Function} [policy.keyGenerator] - (req) => key, defaults to the client IP
+ * @param {string} [policy.message]
+ * @returns {{middleware: Function, recordFailure: Function, reset: Function}}
+ */
+function createLockout({
+  name,
+  threshold,
+  windowMs,
+  baseLockMs,
+  maxLockMs,
+  keyGenerator = (req) => req.ip,
+  message = "Too many failed attempts, please try again later",
+}) {
+  const failures = new Map(); // key -> { count, lockedUntil, expiresAt }
+  const sweep = createSweeper(failures, (record) =>
+    Math.max(record.lockedUntil, record.expiresAt)
+  );
+
+  // rejects requests from keys that are currently locked out
+  function middleware(req, res, next) {
+    const key = keyGenerator(req);
+    const record = key && failures.get(key);
+    const now = Date.now();
+    if (record && record.lockedUntil > now) {
+      return tooManyRequests(res, message, record.lockedUntil - now);
+    }
+    next();
+  }
+
+  // counts a failed attempt for the request's key, locking it out when due
+  function recordFailure(req) {
+    const key = keyGenerator(req);
+    if (!key) return;
+
+    const now = Date.now();
+    sweep(now);
+    let record = failures.get(key);
+    if (!record || (record.expiresAt < now && record.lockedUntil < now)) {
+      record = { count: 0, lockedUntil: 0, expiresAt: 0 };
+      failures.set(key, record);
+    }
+    record.count++;
+    record.expiresAt = now + windowMs;
+
+    if (record.count >= threshold) {
+      const lockMs = Math.min(
+        baseLockMs * 2 ** (record.count - threshold),
+        maxLockMs
+      );
+      record.lockedUntil = now + lockMs;
+      logger.warn(
+        `Lockout ${name}: ${logger.val(key)} locked for ${Math.ceil(
+          lockMs / 1000
+        )}s after ${record.count} failures`
+      );
+    }
+  }
+
+  return { middleware, recordFailure, reset: () => failures.clear() };
+}
+
+module.exports = { createRateLimiter, createLockout };
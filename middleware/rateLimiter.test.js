@@ -0,0 +1,86 @@
+const request = require("supertest");
+const express = require("express");
+const { createRateLimiter, createLockout } = require("./rateLimiter");
+
+function makeApp(...middleware) {
+  const app = express();
+  app.use(express.json());
+  app.post("/", ...middleware, (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+describe("createRateLimiter", () => {
+  it("should reject requests over the limit with Retry-After", async () => {
+    const app = makeApp(
+      createRateLimiter({ name: "test", windowMs: 60 * 1000, max: 2 })
+    );
+
+    await request(app).post("/").expect(200);
+    await request(app).post("/").expect(200);
+    const response = await request(app).post("/");
+
+    expect(response.status).toBe(429);
+    expect(response.headers["retry-after"]).toBe("60");
+    expect(response.body.retryAfter).toBe(60);
+  });
+
+  it("should count each key separately", async () => {
+    const app = makeApp(
+      createRateLimiter({
+        name: "test",
+        windowMs: 60 * 1000,
+        max: 1,
+        keyGenerator: (req) => req.body.att_code,
+      })
+    );
+
+    await request(app).post("/").send({ att_code: "CC-1" }).expect(200);
+    await request(app).post("/").send({ att_code: "CC-2" }).expect(200);
+    await request(app).post("/").send({ att_code: "CC-1" }).expect(429);
+    // no key, not limited
+    await request(app).post("/").send({}).expect(200);
+  });
+});
+
+describe("createLockout", () => {
+  const policy = {
+    name: "test",
+    threshold: 2,
+    windowMs: 60 * 1000,
+    baseLockMs: 10 * 1000,
+    maxLockMs: 30 * 1000,
+  };
+
+  // /fail stands in for a "Team not found" response
+  function makeLockoutApp(lockout) {
+    const app = makeApp(lockout.middleware);
+    app.post("/fail", (req, res) => {
+      lockout.recordFailure(req);
+      res.status(404).json({ message: "Team not found" });
+    });
+    return app;
+  }
+
+  it("should lock out after repeated failures", async () => {
+    const app = makeLockoutApp(createLockout(policy));
+
+    await request(app).post("/fail").expect(404);
+    await request(app).post("/").expect(200);
+
+    await request(app).post("/fail").expect(404);
+    const response = await request(app).post("/");
+    expect(response.status).toBe(429);
+    expect(response.body.retryAfter).toBe(10);
+  });
+
+  it("should double the lock up to the maximum", async () => {
+    const app = makeLockoutApp(createLockout(policy));
+    const fail = () => request(app).post("/fail");
+
+    for (let i = 0; i < 3; i++) await fail();
+    expect((await request(app).post("/")).body.retryAfter).toBe(20);
+
+    for (let i = 0; i < 2; i++) await fail();
+    expect((await request(app).post("/")).body.retryAfter).toBe(30);
+  });
+});
@@ -13,10 +13,39 @@ const adminSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Browser Geolocation API reading submitted with a check-in
+const locationSchema = new mongoose.Schema({
+  latitude: { type: Number },
+  longitude: { type: Number },
+  accuracy: { type: Number, default: null }, // meters
+  altitude: { type: Number, default: null },
+  speed: { type: Number, default: null }, // m/s
+  timestamp: { type: Date, default: null }, // time of the GPS fix
+}, { _id: false });
+
+// Check-in state of one person on a team
+const memberAttendanceSchema = new mongoose.Schema({
+  marked: { type: Boolean, default: false },
+  markedAt: { type: Date, default: null },
+  checkedOutAt: { type: Date, default: null },
+  arrivalStatus: { type: String, enum: ["early", "on-time", "late", null], default: null },
+}, { _id: false });
+
+// Check-in to one session (round) of a multi-session event
+const sessionAttendanceSchema = new mongoose.Schema({
+  session: { type: mongoose.Schema.Types.ObjectId, required: true },
+  sessionName: { type: String, default: "" },
+  member: { type: String, enum: ["leader", "member1", "member2", null], default: null },
+  markedAt: { type: Date, required: true },
+  checkedOutAt: { type: Date, default: null },
+  arrivalStatus: { type: String, enum: ["early", "on-time", "late", null], default: null },
+}, { _id: false });
+
 const CodersCupAttendanceSchema = new mongoose.Schema({
   "Team Information": { type: String, default: "" },
   "Team Name": { type: String, required: true },
   "Vjudge username": { type: String, default: "" },
+  competition: { type: mongoose.Schema.Types.ObjectId, ref: "Event", default: null },
   "Leader Name": { type: String, required: true },
   "Leader Email Address": { type: String, required: true },
   "Leader Section": { type: String, default: "" },
@@ -33,16 +62,249 @@ const CodersCupAttendanceSchema = new mongoose.Schema({
 
   "Att Code": { type: String, unique: true },
   "Attendance Marked": { type: Boolean, default: false },
+  // checked in as a whole rather than member by member
+  "Marked As Team": { type: Boolean, default: false },
+  "Attendance Marked At": { type: Date, default: null },
+  "Arrival Status": { type: String, enum: ["early", "on-time", "late", null], default: null },
+  "Checked Out At": { type: Date, default: null },
+  "Attendance Location": { type: locationSchema, default: null },
+  "Leader Attendance": { type: memberAttendanceSchema, default: () => ({}) },
+  "Member 1 Attendance": { type: memberAttendanceSchema, default: () => ({}) },
+  "Member 2 Attendance": { type: memberAttendanceSchema, default: () => ({}) },
+  "Session Attendance": { type: [sessionAttendanceSchema], default: [] },
+
+  deletedAt: { type: Date, default: null }, // soft delete, restorable by an admin
+  deletedBy: { type: String, default: "" },
 
 }, { timestamps: true });
+CodersCupAttendanceSchema.index({
+  "Attendance Location.latitude": 1,
+  "Attendance Location.longitude": 1,
+});
+CodersCupAttendanceSchema.index({ "Session Attendance.session": 1 });
+// admin team listing filters and sorts, see utils/teamQuery.js
+CodersCupAttendanceSchema.index({ competition: 1, "Team Name": 1 });
+CodersCupAttendanceSchema.index({ "Team Name": 1, _id: 1 });
+CodersCupAttendanceSchema.index({ "Attendance Marked": 1, "Attendance Marked At": 1 });
+CodersCupAttendanceSchema.index({ "Attendance Marked At": 1, _id: 1 });
+CodersCupAttendanceSchema.index({ createdAt: 1, _id: 1 });
+CodersCupAttendanceSchema.index({ deletedAt: 1 });
+CodersCupAttendanceSchema.index({ "Leader Section": 1 });
+CodersCupAttendanceSchema.index({ "Member 1 Section": 1 });
+CodersCupAttendanceSchema.index({ "Member 2 Section": 1 });
+// ?q= search, whole words of names, emails and att codes. No stemming or stop
+// words, they'd mangle names.
+CodersCupAttendanceSchema.index(
+  {
+    "Team Name": "text",
+    "Att Code": "text",
+    "Leader Name": "text",
+    "Leader Email Address": "text",
+    "Member 1 Name": "text",
+    "Member 1 Email Address": "text",
+    "Member 2 Name": "text",
+    "Member 2 Email Address": "text",
+  },
+  { name: "team_search", default_language: "none" }
+);
+// soft deleted teams are left out of every query, setOptions({ withDeleted: true })
+// to include them
+CodersCupAttendanceSchema.pre(
+  ["find", "findOne", "findOneAndUpdate", "countDocuments", "updateOne", "updateMany"],
+  function () {
+    if (this.getOptions().withDeleted) return;
+    if (this.getFilter().deletedAt === undefined) {
+      this.where({ deletedAt: null });
+    }
+  }
+);
+
+// Venue geofence used by /api/attendance/mark, defaults to FAST Karachi campus
+const geofenceSchema = new mongoose.Schema({
+  latitude: { type: Number, default: 24.8568496, min: -90, max: 90 },
+  longitude: { type: Number, default: 67.2644237, min: -180, max: 180 },
+  radius: { type: Number, default: 2500, min: 1 }, // meters
+}, { _id: false });
+
+// Named venue, either a circle around a center point or a GeoJSON polygon
+const venueSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  type: { type: String, enum: ["circle", "polygon"], default: "circle" },
+  latitude: { type: Number, min: -90, max: 90 },
+  longitude: { type: Number, min: -180, max: 180 },
+  radius: { type: Number, min: 1 }, // meters
+  polygon: {
+    type: { type: String, enum: ["Polygon"] },
+    coordinates: { type: [[[Number]]], default: undefined }, // [[[lng, lat], ...]]
+  },
+}, { _id: false });
+
+// Round of an event with its own window, e.g. preliminary and final
+const sessionSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  start_time: { type: Date, required: true },
+  end_time: { type: Date, required: true },
+  venues: { type: [venueSchema], default: [] }, // falls back to the event's venues when empty
+});
+
+// A team's place in a competition, teams sharing a position are tied
+const resultSchema = new mongoose.Schema({
+  team: { type: mongoose.Schema.Types.ObjectId, ref: "CodersCupAttendance", required: true },
+  position: { type: Number, required: true, min: 1 },
+}, { _id: false });
 
 const eventSchema = new mongoose.Schema({
-  competitionName: { type: String, required: true },
+  competitionName: { type: String, required: true, unique: true },
+  // draft or archived as set by an admin, otherwise the status when last saved,
+  // see utils/eventLifecycle.js getEventStatus for the current one
+  status: { type: String, enum: ["draft", "registration", "live", "ended", "archived"] },
   start_time: { type: Date, required: true },
   end_time: { type: Date, required: true },
+  geofence: { type: geofenceSchema, default: () => ({}) },
+  venues: { type: [venueSchema], default: [] }, // falls back to geofence when empty
+  sessions: { type: [sessionSchema], default: [] }, // empty for single-window events
+  early_open_minutes: { type: Number, default: 0, min: 0 }, // check-in opens this long before start
+  late_grace_minutes: { type: Number, default: 0, min: 0 }, // check-in stays open this long after end
+  late_after_minutes: { type: Number, default: 15, min: 0 }, // check-ins this long after a session starts are late
+  qr_rotation_seconds: { type: Number, default: 30, min: 5 }, // how often the venue QR code changes
+  min_team_size: { type: Number, default: 1, min: 1 },
+  max_team_size: { type: Number, default: 3, min: 1 },
+  registration_opens_at: { type: Date, default: null }, // no self-registration until set
+  registration_closes_at: { type: Date, default: null },
+  results: { type: [resultSchema], default: [] }, // public once the event has ended
+  results_updated_at: { type: Date, default: null },
+  results_updated_by: { type: String, default: "" },
+}, { timestamps: true });
+
+// Single-use nonce issued by /api/attendance/challenge, bound to one att code
+const attendanceChallengeSchema = new mongoose.Schema({
+  nonce: { type: String, required: true, unique: true },
+  attCode: { type: String, required: true },
+  expiresAt: { type: Date, required: true, expires: 0 }, // TTL index removes stale nonces
+  usedAt: { type: Date, default: null },
+}, { timestamps: true });
+
+// Hashes of accepted /mark payloads, kept for the freshness window to block replays
+const attendancePayloadSchema = new mongoose.Schema({
+  hash: { type: String, required: true, unique: true },
+  attCode: { type: String, required: true },
+  expiresAt: { type: Date, required: true, expires: 0 },
+}, { timestamps: true });
+
+// /mark submissions rejected as stale, replayed or forged, for admin review
+const rejectedAttemptSchema = new mongoose.Schema({
+  attCode: { type: String, default: "" },
+  code: { type: String, required: true },
+  reason: { type: String, default: "" },
+  payloadHash: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  userAgent: { type: String, default: "" },
+}, { timestamps: true });
+
+// Check-ins held back because they look spoofed, until an admin decides
+const attendanceReviewSchema = new mongoose.Schema({
+  team: { type: mongoose.Schema.Types.ObjectId, ref: "CodersCupAttendance", required: true },
+  attCode: { type: String, required: true },
+  member: { type: String, enum: ["leader", "member1", "member2", null], default: null },
+  session: { type: mongoose.Schema.Types.ObjectId, default: null },
+  sessionName: { type: String, default: "" },
+  location: { type: locationSchema, required: true },
+  flags: { type: [String], default: [] },
+  status: { type: String, enum: ["pending", "approved", "rejected"], default: "pending" },
+  ip: { type: String, default: "" },
+  userAgent: { type: String, default: "" },
+  reviewedBy: { type: String, default: "" },
+  reviewedAt: { type: Date, default: null },
+  note: { type: String, default: "" },
+}, { timestamps: true });
+attendanceReviewSchema.index({ "location.latitude": 1, "location.longitude": 1 });
+
+// Append-only log of every attendance change on a team
+const attendanceHistorySchema = new mongoose.Schema({
+  team: { type: mongoose.Schema.Types.ObjectId, ref: "CodersCupAttendance", required: true },
+  attCode: { type: String, required: true },
+  action: { type: String, enum: ["mark", "unmark", "checkout"], required: true },
+  member: { type: String, enum: ["leader", "member1", "member2", null], default: null },
+  session: { type: mongoose.Schema.Types.ObjectId, default: null },
+  source: { type: String, enum: ["self", "admin", "offline"], required: true },
+  adminUserName: { type: String, default: "" },
+  deviceId: { type: String, default: "" }, // volunteer device for offline check-ins
+  ip: { type: String, default: "" },
+  userAgent: { type: String, default: "" },
+  location: { type: locationSchema, default: null },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+attendanceHistorySchema.index({ team: 1, createdAt: 1 });
+attendanceHistorySchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  function () {
+    throw new Error("Attendance history is append-only");
+  }
+);
+
+// Offline check-ins that have already been synced, so re-uploading a batch
+// applies nothing twice
+const offlineSyncRecordSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  deviceId: { type: String, required: true },
+  attCode: { type: String, required: true },
+  member: { type: String, enum: ["leader", "member1", "member2", null], default: null },
+  clientTimestamp: { type: Date, required: true },
+  status: { type: String, required: true },
+  syncedBy: { type: String, default: "" },
+}, { timestamps: true });
+
+// Att codes replaced by an admin, never handed out again
+const retiredAttCodeSchema = new mongoose.Schema({
+  attCode: { type: String, required: true, unique: true },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: "CodersCupAttendance", required: true },
+  replacedBy: { type: String, required: true },
+  retiredBy: { type: String, default: "" },
 }, { timestamps: true });
 
+// Admin edits to a team's registration, append-only like attendance history
+const teamChangeSchema = new mongoose.Schema({
+  team: { type: mongoose.Schema.Types.ObjectId, ref: "CodersCupAttendance", required: true },
+  attCode: { type: String, required: true },
+  action: { type: String, enum: ["create", "update", "delete", "restore"], required: true },
+  changes: {
+    type: [new mongoose.Schema({
+      field: { type: String, required: true },
+      from: { type: String, default: "" },
+      to: { type: String, default: "" },
+    }, { _id: false })],
+    default: [],
+  },
+  adminUserName: { type: String, default: "" },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+teamChangeSchema.index({ team: 1, createdAt: 1 });
+teamChangeSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  function () {
+    throw new Error("Team changes are append-only");
+  }
+);
+
 const CodersCupAttendance = mongoose.model("CodersCupAttendance", CodersCupAttendanceSchema,"CodersCupAttendance");
 const Event = mongoose.model("Event", eventSchema);
 const Admin = mongoose.model('Admin', adminSchema,"Admin");
-module.exports = { Admin, CodersCupAttendance, Event };
+const AttendanceChallenge = mongoose.model("AttendanceChallenge", attendanceChallengeSchema);
+const AttendancePayload = mongoose.model("AttendancePayload", attendancePayloadSchema);
+const RejectedAttempt = mongoose.model("RejectedAttempt", rejectedAttemptSchema);
+const AttendanceReview = mongoose.model("AttendanceReview", attendanceReviewSchema);
+const AttendanceHistory = mongoose.model("AttendanceHistory", attendanceHistorySchema);
+const OfflineSyncRecord = mongoose.model("OfflineSyncRecord", offlineSyncRecordSchema);
+const RetiredAttCode = mongoose.model("RetiredAttCode", retiredAttCodeSchema);
+const TeamChange = mongoose.model("TeamChange", teamChangeSchema);
+module.exports = {
+  Admin,
+  CodersCupAttendance,
+  Event,
+  AttendanceChallenge,
+  AttendancePayload,
+  RejectedAttempt,
+  AttendanceReview,
+  AttendanceHistory,
+  OfflineSyncRecord,
+  RetiredAttCode,
+  TeamChange,
+};
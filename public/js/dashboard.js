@@ -18,6 +18,9 @@ const memoryData = {
 
 let memoryChart;
 
+// Number of attendance changes listed in the live attendance card
+const MAX_ATTENDANCE_CHANGES = 10;
+
 // Initialize dashboard
 document.addEventListener("DOMContentLoaded", function () {
   // Initialize memory chart
@@ -56,8 +59,78 @@ document.addEventListener("DOMContentLoaded", function () {
   document
     .getElementById("refreshHealth")
     .addEventListener("click", fetchHealthData);
+
+  // Live attendance counter
+  subscribeToAttendanceFeed();
 });
 
+// Listen for attendance changes pushed by the server
+function subscribeToAttendanceFeed() {
+  const feed = new EventSource("/api/admin/feed");
+  const status = document.getElementById("feedStatus");
+
+  feed.addEventListener("open", () => {
+    status.className = "badge bg-success float-end";
+    status.textContent = "Live";
+  });
+  // EventSource reconnects by itself
+  feed.addEventListener("error", () => {
+    status.className = "badge bg-warning float-end";
+    status.textContent = "Reconnecting";
+  });
+  feed.addEventListener("counts", (event) => {
+    updateAttendanceCounts(JSON.parse(event.data));
+  });
+  feed.addEventListener("attendance", (event) => {
+    const change = JSON.parse(event.data);
+    updateAttendanceCounts(change.counts);
+    addAttendanceChange(change);
+  });
+}
+
+// Update the checked in / registered counter
+function updateAttendanceCounts(counts) {
+  const percent =
+    counts.teams > 0 ? Math.round((counts.marked / counts.teams) * 100) : 0;
+
+  document.getElementById("teamsMarked").textContent = counts.marked;
+  document.getElementById("teamsTotal").textContent = counts.teams;
+  document.getElementById("attendanceProgress").style.width = `${percent}%`;
+}
+
+// Prepend a change to the latest changes list
+function addAttendanceChange(change) {
+  const list = document.getElementById("attendanceChanges");
+  const placeholder = document.getElementById("noChangesMessage");
+  if (placeholder) placeholder.remove();
+
+  const actions = {
+    mark: "checked in",
+    unmark: "unmarked",
+    checkout: "checked out",
+  };
+  const item = document.createElement("li");
+  item.className = "border-bottom py-1";
+
+  const time = document.createElement("small");
+  time.className = "text-muted me-2";
+  time.textContent = new Date(change.at).toLocaleTimeString();
+  item.appendChild(time);
+
+  const text = document.createElement("span");
+  text.textContent = `${change.team_name} (${change.att_code})${
+    change.member ? ` ${change.member}` : ""
+  } ${actions[change.action] || change.action}${
+    change.session ? ` for ${change.session}` : ""
+  }`;
+  item.appendChild(text);
+
+  list.prepend(item);
+  while (list.children.length > MAX_ATTENDANCE_CHANGES) {
+    list.lastElementChild.remove();
+  }
+}
+
 // Fetch health data from server
 function fetchHealthData() {
   fetch("/admin/monitoring/data")
@@ -1,122 +1,1646 @@
 const { default: mongoose, MongooseError } = require("mongoose");
-const { Admin, CodersCupAttendance, Event } = require("../models/Models");
+const {
+  Admin,
+  CodersCupAttendance,
+  Event,
+  RejectedAttempt,
+  AttendanceReview,
+  AttendanceHistory,
+  OfflineSyncRecord,
+  RetiredAttCode,
+  TeamChange,
+} = require("../models/Models");
 const express = require("express");
 const bcrypt = require("bcrypt");
+const { validateVenue } = require("../utils/geofence");
+const {
+  MEMBER_SLOTS,
+  isMemberSlot,
+  getTeamPresence,
+  isMemberMarked,
+  markTeam,
+  markMember,
+  unmarkMember,
+  unmarkTeam,
+  getOnSiteDurations,
+} = require("../utils/teamMembers");
+const { recordAttendanceEvent } = require("../utils/attendanceHistory");
+const { mapTeamToSchema } = require("../utils/teamMapper");
+const {
+  FEED_HEARTBEAT_INTERVAL,
+  attendanceFeed,
+  getAttendanceCounts,
+} = require("../utils/attendanceFeed");
+const { toCsv } = require("../utils/csv");
+const {
+  MAX_TEAM_SIZE,
+  REGISTRATION_FIELDS,
+  toTeamFields,
+  toRegistrationBody,
+  getFieldChanges,
+  validateTeamFields,
+} = require("../utils/teamValidation");
+const { recordTeamChange } = require("../utils/teamChanges");
+const {
+  findTeamEvent,
+  withCompetitionId,
+} = require("../utils/teamCompetition");
+const {
+  EVENT_STATUS,
+  getScheduleStatus,
+  getEventStatus,
+  isEventPublished,
+  parseEventFields,
+  validateEventWindows,
+  findOverlappingEvents,
+  mapEventWithStatus,
+} = require("../utils/eventLifecycle");
+const {
+  validateResults,
+  areResultsPublic,
+  mapResults,
+} = require("../utils/competitionResults");
+const { issueVenueToken, renderVenueQr } = require("../utils/venueQr");
+const { issueBadge, verifyBadge, renderBadgeQr } = require("../utils/teamBadge");
+const {
+  generateTeamAttCode,
+  findMemberConflicts,
+  registerTeam,
+} = require("../utils/teamRegistration");
+const { buildTeamListQuery, nextPageCursor } = require("../utils/teamQuery");
+const {
+  EXPORT_FORMATS,
+  buildExportFilter,
+  streamTeamExport,
+} = require("../utils/teamExport");
+const {
+  XLSX_TYPE,
+  readTeamSheet,
+  planTeamImport,
+  describeImport,
+  applyTeamImport,
+} = require("../utils/teamImport");
+const {
+  MAX_SYNC_BATCH,
+  SYNC_STATUS,
+  syncRecordKey,
+  validateSyncRecord,
+  validateSyncTime,
+  backdateCheckIn,
+} = require("../utils/offlineSync");
+const {
+  getEventSessions,
+  resolveOpenSession,
+  classifyArrival,
+  validateSessions,
+  getSessionEntries,
+  isMarkedForSession,
+  markSessionAttendance,
+  clearSessionAttendance,
+} = require("../utils/eventSessions");
 const router = express.Router();
 
 router.get("/", (req, res) => {
   res.json({ msg: "Admin routes" });
 });
 
-function mapTeamToSchema(team) {
-  return {
-      team_info: team["Team Information"] || "",
-      team_name: team["Team Name"] || "",
-      vjudge_username: team["Vjudge username"] || "",
-      competitionName: team.competitionName || "",
-      leader_name: team["Leader Name"] || "",
-      leader_email: team["Leader Email Address"] || "",
-      leader_section: team["Leader Section"] || "",
-      leader_cnic: team["Leader CNIC"] || "",
-      leader_phone: team["Leader Phone Number"] || "",
-
-      member1_name: team["Member 1 Name"] || "",
-      member1_email: team["Member 1 Email Address"] || "",
-      member1_section: team["Member 1 Section"] || "",
-
-      member2_name: team["Member 2 Name"] || "",
-      member2_email: team["Member 2 Email Address"] || "",
-      member2_section: team["Member 2 Section"] || "",
-
-      att_code: team["Att Code"] || "",
-      attendance: team["Attendance Marked"] || false
-  };
+// Session of a multi-session event an admin check-in applies to: the named one,
+// or the one open at the check-in time. Single-window events have no session (null).
+async function resolveAdminSession(team, sessionName, at = new Date()) {
+  const event = await findTeamEvent(team);
+  if (!event || event.sessions.length === 0) {
+    return sessionName
+      ? { error: `Session "${sessionName}" not found` }
+      : { event, session: null };
+  }
+
+  const session = sessionName
+    ? event.sessions.find((candidate) => candidate.name === sessionName)
+    : resolveOpenSession(event, at);
+  if (!session) {
+    return {
+      error: sessionName
+        ? `Session "${sessionName}" not found`
+        : "No session is open at the check-in time, specify one with session",
+    };
+  }
+  return { event, session };
+}
+
+// Arrival status of a check-in made at the given time, null if the team's
+// event no longer exists
+function classifyAdminArrival(event, session, at) {
+  if (!event) return null;
+  return classifyArrival(
+    session || getEventSessions(event)[0],
+    at,
+    event.late_after_minutes
+  );
+}
+
+// Mark a team (or one member) present on behalf of an admin and record it in
+// the history. With skipIfMarked nothing changes when they are already checked
+// in. Resolves to { error } when no session applies, otherwise to
+// { session, alreadyMarked }.
+async function markAttendanceByAdmin(
+  req,
+  team,
+  { member = null, sessionName, skipIfMarked = false }
+) {
+  const { event, session, error } = await resolveAdminSession(
+    team,
+    sessionName
+  );
+  if (error) {
+    return { error };
+  }
+
+  const alreadyMarked = session
+    ? isMarkedForSession(team, session, member)
+    : member
+    ? isMemberMarked(team, member)
+    : Boolean(team["Attendance Marked"]);
+  if (alreadyMarked && skipIfMarked) {
+    return { session, alreadyMarked };
+  }
+
+  const markedAt = new Date();
+  const arrivalStatus = classifyAdminArrival(event, session, markedAt);
+  if (member) {
+    markMember(team, member, markedAt, arrivalStatus);
+  } else {
+    markTeam(team, markedAt, arrivalStatus);
+  }
+  if (session && !isMarkedForSession(team, session, member)) {
+    markSessionAttendance(team, session, member, markedAt, arrivalStatus);
+  }
+  await team.save();
+  await recordAttendanceEvent(req, team, {
+    action: "mark",
+    source: "admin",
+    member,
+    session,
+  });
+  return { session, alreadyMarked };
 }
+
+// {att_code, member?, session?} - member (leader, member1, member2) marks one person, otherwise the whole team
+// session names the round for multi-session events, defaulting to the open one
 router.post("/markAttendance", async (req, res) => {
+  const { att_code, member, session: sessionName } = req.body;
+  if (!att_code) {
+    return res.status(400).json({ message: "No team code provided" });
+  }
+  if (member !== undefined && !isMemberSlot(member)) {
+    return res
+      .status(400)
+      .json({ message: "Invalid member (expected leader, member1 or member2)" });
+  }
+
+  try {
+    const team = await CodersCupAttendance.findOne({ "Att Code": att_code });
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+    if (member && !team[MEMBER_SLOTS[member].name]) {
+      return res.status(400).json({
+        message: `${MEMBER_SLOTS[member].label} is not registered on this team`,
+      });
+    }
+    const { error } = await markAttendanceByAdmin(req, team, {
+      member: member || null,
+      sessionName,
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    return res.json({ message: "Attendance marked successfully",  team: mapTeamToSchema(team)
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// QR badge for a team, the code encodes their signed att code
+router.get("/badges/:att_code", async (req, res) => {
+  try {
+    const team = await CodersCupAttendance.findOne({
+      "Att Code": req.params.att_code,
+    });
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    const badge = issueBadge(team["Att Code"]);
+    return res.json({
+      team_name: team["Team Name"],
+      att_code: team["Att Code"],
+      badge,
+      qr: await renderBadgeQr(badge),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// badges for every team in a competition, for printing
+router.get("/badges", async (req, res) => {
+  const { competitionName } = req.query;
+  if (!competitionName) {
+    return res.status(400).json({ message: "Competition name is required" });
+  }
+
+  try {
+    const event = await Event.findOne({ competitionName });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    const teams = await CodersCupAttendance.find({
+      competition: event._id,
+    }).sort({ "Team Name": 1 });
+
+    const badges = await Promise.all(
+      teams.map(async (team) => {
+        const badge = issueBadge(team["Att Code"]);
+        return {
+          team_name: team["Team Name"],
+          att_code: team["Att Code"],
+          badge,
+          qr: await renderBadgeQr(badge),
+        };
+      })
+    );
+    return res.json(badges);
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// {badge, member?, session?} - door scanner, marks the team whose badge was
+// scanned and answers with just what the scanner app needs to show
+router.post("/scan", async (req, res) => {
+  const { badge, member, session: sessionName } = req.body;
+  if (member !== undefined && !isMemberSlot(member)) {
+    return res.status(400).json({
+      ok: false,
+      message: "Invalid member (expected leader, member1 or member2)",
+    });
+  }
+
+  const verification = verifyBadge(badge);
+  if (!verification.valid) {
+    return res.status(401).json({ ok: false, message: verification.reason });
+  }
+
+  try {
+    const team = await CodersCupAttendance.findOne({
+      "Att Code": verification.attCode,
+    });
+    if (!team) {
+      return res.status(404).json({ ok: false, message: "Team not found" });
+    }
+    if (member && !team[MEMBER_SLOTS[member].name]) {
+      return res.status(400).json({
+        ok: false,
+        message: `${MEMBER_SLOTS[member].label} is not registered on this team`,
+      });
+    }
+
+    const { session, alreadyMarked, error } = await markAttendanceByAdmin(
+      req,
+      team,
+      { member: member || null, sessionName, skipIfMarked: true }
+    );
+    if (error) {
+      return res.status(400).json({ ok: false, message: error });
+    }
+    return res.json({
+      ok: true,
+      alreadyMarked,
+      team: team["Team Name"],
+      att_code: team["Att Code"],
+      member: member ? team[MEMBER_SLOTS[member].name] : null,
+      session: session ? session.name : null,
+      presence: getTeamPresence(team).status,
+    });
+  } catch (err) {
+    return res.status(500).json({ ok: false, message: err.message });
+  }
+});
+
+// Apply one offline check-in, resolves to { status, reason? }
+async function applySyncRecord(req, record) {
+  const error = validateSyncRecord(record);
+  if (error) {
+    return { status: SYNC_STATUS.REJECTED, reason: error };
+  }
+  const key = syncRecordKey(record);
+  if (await OfflineSyncRecord.exists({ key })) {
+    return { status: SYNC_STATUS.DUPLICATE };
+  }
+
+  const team = await CodersCupAttendance.findOne({
+    "Att Code": record.att_code,
+  });
+  if (!team) {
+    return { status: SYNC_STATUS.REJECTED, reason: "Team not found" };
+  }
+  const member = record.member || null;
+  if (member && !team[MEMBER_SLOTS[member].name]) {
+    return {
+      status: SYNC_STATUS.REJECTED,
+      reason: `${MEMBER_SLOTS[member].label} is not registered on this team`,
+    };
+  }
+
+  const at = new Date(record.client_timestamp);
+  const {
+    event,
+    session,
+    error: sessionError,
+  } = await resolveAdminSession(team, record.session, at);
+  if (sessionError) {
+    return { status: SYNC_STATUS.REJECTED, reason: sessionError };
+  }
+  const timeError = validateSyncTime(event, session, at);
+  if (timeError) {
+    return { status: SYNC_STATUS.REJECTED, reason: timeError };
+  }
+
+  const arrivalStatus = classifyAdminArrival(event, session, at);
+  const checkIn = { member, session, at, arrivalStatus };
+  let status;
+  if (!isMarkedForSession(team, session || { _id: null }, member)) {
+    if (member) {
+      markMember(team, member, at, arrivalStatus);
+    } else {
+      markTeam(team, at, arrivalStatus);
+    }
+    if (session) {
+      markSessionAttendance(team, session, member, at, arrivalStatus);
+    }
+    // a member checking in offline may predate the team's first check-in
+    backdateCheckIn(team, checkIn);
+    status = SYNC_STATUS.APPLIED;
+  } else {
+    status = backdateCheckIn(team, checkIn)
+      ? SYNC_STATUS.BACKDATED
+      : SYNC_STATUS.ALREADY_MARKED;
+  }
+
+  if (status !== SYNC_STATUS.ALREADY_MARKED) {
+    await team.save();
+    await recordAttendanceEvent(req, team, {
+      action: "mark",
+      source: "offline",
+      member,
+      session,
+      deviceId: record.device_id,
+    });
+  }
+
+  try {
+    await OfflineSyncRecord.create({
+      key,
+      deviceId: record.device_id,
+      attCode: record.att_code,
+      member,
+      clientTimestamp: at,
+      status,
+      syncedBy: req.admin.adminUserName,
+    });
+  } catch (err) {
+    // the same record synced concurrently, it has been applied either way
+    if (err.code !== 11000) throw err;
+  }
+  return { status };
+}
+
+// {records: [{att_code, client_timestamp, device_id, member?, session?}]}
+// check-ins captured by volunteers while offline. Each record applies at most
+// once and the earliest check-in wins over the stored one, the response
+// reports the outcome of every record in the order they were sent.
+router.post("/sync", async (req, res) => {
+  const { records } = req.body;
+  if (!Array.isArray(records) || records.length === 0) {
+    return res.status(400).json({ message: "No records provided" });
+  }
+  if (records.length > MAX_SYNC_BATCH) {
+    return res.status(400).json({
+      message: `At most ${MAX_SYNC_BATCH} records can be synced at once`,
+    });
+  }
+
+  try {
+    // oldest first, so the earliest offline check-in of a team is applied first
+    const time = (record) =>
+      new Date(record && record.client_timestamp).getTime() || 0;
+    const order = records
+      .map((record, index) => ({ record, index }))
+      .sort((a, b) => time(a.record) - time(b.record));
+
+    const results = new Array(records.length);
+    for (const { record, index } of order) {
+      results[index] = {
+        index,
+        att_code: (record && record.att_code) || null,
+        device_id: (record && record.device_id) || null,
+        client_timestamp: (record && record.client_timestamp) || null,
+        ...(await applySyncRecord(req, record)),
+      };
+    }
+
+    const summary = Object.fromEntries(
+      Object.values(SYNC_STATUS).map((status) => [
+        status,
+        results.filter((result) => result.status === status).length,
+      ])
+    );
+    return res.json({ message: "Sync complete", summary, results });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// add a team {competitionName, team_name, leader_name, ...}, with the same
+// validation as self-registration but regardless of the registration window
+router.post("/teams", async (req, res) => {
+  const { competitionName } = req.body;
+  if (!competitionName) {
+    return res.status(400).json({ message: "Competition name is required" });
+  }
+
+  try {
+    const event = await Event.findOne({ competitionName });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const { team, errors, conflict } = await registerTeam(req.body, event);
+    if (errors) {
+      return res
+        .status(conflict ? 409 : 400)
+        .json({ message: "Invalid registration", errors });
+    }
+    await recordTeamChange(req, team, "create");
+    return res
+      .status(201)
+      .json({
+        message: "Team added successfully",
+        team: { ...mapTeamToSchema(team), competitionName: event.competitionName },
+      });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// bulk import of a CSV or XLSX sheet, sent as the raw request body:
+// POST /teams/import?competitionName=...            dry run, new/updated/invalid rows
+// POST /teams/import?competitionName=...&commit=true writes it, if no row is invalid
+router.post(
+  "/teams/import",
+  express.raw({ type: ["text/csv", "text/plain", XLSX_TYPE], limit: "5mb" }),
+  async (req, res) => {
+    const { competitionName, commit } = req.query;
+    if (!competitionName) {
+      return res.status(400).json({ message: "Competition name is required" });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        message: `Send the sheet as the request body (text/csv or ${XLSX_TYPE})`,
+      });
+    }
+
+    try {
+      const event = await Event.findOne({ competitionName });
+      if (!event) {
+        return res.status(404).json({ message: "Event not found" });
+      }
+
+      let sheet;
+      try {
+        sheet = await readTeamSheet(req.body, req.get("Content-Type"));
+      } catch (err) {
+        return res
+          .status(400)
+          .json({ message: `Could not read the sheet: ${err.message}` });
+      }
+      const teams = await CodersCupAttendance.find({ competition: event._id });
+      const plan = planTeamImport(sheet, teams, event);
+      if (plan.error) {
+        return res.status(400).json({ message: plan.error });
+      }
+
+      if (commit !== "true") {
+        return res.json({
+          message: "Dry run, nothing was imported",
+          summary: plan.summary,
+          rows: describeImport(plan.entries),
+        });
+      }
+      if (plan.summary.invalid > 0) {
+        return res.status(400).json({
+          message: "Fix the invalid rows before importing",
+          summary: plan.summary,
+          rows: describeImport(plan.entries),
+        });
+      }
+
+      const { error, ...result } = await applyTeamImport(plan.entries, event);
+      if (error) {
+        // rows before the one refused are written and counted in result
+        return res.status(409).json({
+          message: "Import stopped partway",
+          error,
+          ...result,
+          rows: describeImport(plan.entries),
+        });
+      }
+      return res.json({
+        message: "Teams imported successfully",
+        summary: plan.summary,
+        ...result,
+        rows: describeImport(plan.entries),
+      });
+    } catch (err) {
+      return res.status(500).json({ message: err.message });
+    }
+  }
+);
+
+// {att_code} - give a team a fresh att code, e.g. after theirs was leaked. The
+// old code (and any badge printed with it) stops working straight away.
+router.post("/regenerateCode", async (req, res) => {
   const { att_code } = req.body;
   if (!att_code) {
     return res.status(400).json({ message: "No team code provided" });
   }
 
   try {
-    const team = await CodersCupAttendance.findOne({ "Att Code": att_code });
+    const team = await CodersCupAttendance.findOne({ "Att Code": att_code });
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    const newCode = await generateTeamAttCode();
+    team["Att Code"] = newCode;
+    await team.save();
+    await RetiredAttCode.create({
+      attCode: att_code,
+      team: team._id,
+      replacedBy: newCode,
+      retiredBy: req.admin.adminUserName,
+    });
+    // reviews still waiting are looked up by the team's current code
+    await AttendanceReview.updateMany(
+      { team: team._id, status: "pending" },
+      { attCode: newCode }
+    );
+
+    return res.json({
+      message: "Team code regenerated successfully",
+      previous_att_code: att_code,
+      team: mapTeamToSchema(team),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+router.post("/unmarkAttendance", async (req, res) => {
+  const { att_code, member } = req.body;
+  if (!att_code) {
+    return res.status(400).json({ message: "No team code provided" });
+  }
+  if (member !== undefined && !isMemberSlot(member)) {
+    return res
+      .status(400)
+      .json({ message: "Invalid member (expected leader, member1 or member2)" });
+  }
+
+  try {
+    const team = await CodersCupAttendance.findOne({ "Att Code": att_code });
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    if (member) {
+      unmarkMember(team, member);
+    } else {
+      unmarkTeam(team);
+    }
+    clearSessionAttendance(team, member || null);
+    await team.save();
+    await recordAttendanceEvent(req, team, {
+      action: "unmark",
+      source: "admin",
+      member: member || null,
+    });
+    return res.json({ message: "Attendance unmarked successfully", team: mapTeamToSchema(team) });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// {competitionName, start_time, end_time, allow_overlap?}, checked like any
+// other event edit, see saveEvent
+router.post("/updatetime", async (req, res) => {
+  const { competitionName, start_time, end_time } = req.body;
+  if (!competitionName || !start_time || !end_time) {
+    return res.status(400).json({ message: "Required fields missing" });
+  }
+  const { fields, error } = parseEventFields({ start_time, end_time });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const event = await Event.findOne({ competitionName });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    event.set(fields);
+    const failure = await saveEvent(event, {
+      allowOverlap: req.body.allow_overlap === true,
+    });
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    return res.json({
+      message: "Time  updated successfully",
+      event: mapEventWithStatus(event),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// {competitionName, early_open_minutes?, late_grace_minutes?, late_after_minutes?}
+// check-in opens early_open_minutes before each session starts and closes
+// late_grace_minutes after it ends. Check-ins before the start are recorded
+// as early, more than late_after_minutes after it as late.
+router.post("/updategrace", async (req, res) => {
+  const {
+    competitionName,
+    early_open_minutes,
+    late_grace_minutes,
+    late_after_minutes,
+  } = req.body;
+  if (!competitionName) {
+    return res.status(400).json({ message: "Competition name is required" });
+  }
+  if (
+    early_open_minutes === undefined &&
+    late_grace_minutes === undefined &&
+    late_after_minutes === undefined
+  ) {
+    return res.status(400).json({
+      message:
+        "Provide early_open_minutes, late_grace_minutes and/or late_after_minutes",
+    });
+  }
+
+  const update = {};
+  for (const [field, value] of Object.entries({
+    early_open_minutes,
+    late_grace_minutes,
+    late_after_minutes,
+  })) {
+    if (value === undefined) continue;
+    if (!Number.isFinite(value) || value < 0) {
+      return res
+        .status(400)
+        .json({ message: `${field} must be a non-negative number of minutes` });
+    }
+    update[field] = value;
+  }
+
+  try {
+    const event = await Event.findOneAndUpdate({ competitionName }, update, {
+      new: true,
+    });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    return res.json({ message: "Grace periods updated successfully", event });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// self-registration window and team size limits of an event
+router.post("/updateregistration", async (req, res) => {
+  const {
+    competitionName,
+    registration_opens_at,
+    registration_closes_at,
+    min_team_size,
+    max_team_size,
+  } = req.body;
+  if (!competitionName) {
+    return res.status(400).json({ message: "Competition name is required" });
+  }
+
+  const update = {};
+  for (const [field, value] of Object.entries({
+    registration_opens_at,
+    registration_closes_at,
+  })) {
+    if (value === undefined) continue;
+    if (value !== null && isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ message: `${field} must be a date or null` });
+    }
+    update[field] = value === null ? null : new Date(value);
+  }
+  for (const [field, value] of Object.entries({ min_team_size, max_team_size })) {
+    if (value === undefined) continue;
+    if (!Number.isInteger(value) || value < 1 || value > MAX_TEAM_SIZE) {
+      return res.status(400).json({
+        message: `${field} must be a whole number from 1 to ${MAX_TEAM_SIZE}`,
+      });
+    }
+    update[field] = value;
+  }
+  if (Object.keys(update).length === 0) {
+    return res.status(400).json({
+      message:
+        "Provide registration_opens_at, registration_closes_at, min_team_size and/or max_team_size",
+    });
+  }
+
+  try {
+    const event = await Event.findOne({ competitionName });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    event.set(update);
+    const windowError = validateEventWindows(event);
+    if (windowError) {
+      return res.status(400).json({ message: windowError });
+    }
+    await event.save();
+    return res.json({ message: "Registration updated successfully", event });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+router.post("/updategeofence", async (req, res) => {
+  const { competitionName, latitude, longitude, radius } = req.body;
+  if (
+    !competitionName ||
+    latitude === undefined ||
+    longitude === undefined ||
+    radius === undefined
+  ) {
+    return res.status(400).json({ message: "Required fields missing" });
+  }
+  const geofence = {
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    radius: Number(radius),
+  };
+  // valid coordinates and radius
+  if (
+    !Number.isFinite(geofence.latitude) ||
+    geofence.latitude < -90 ||
+    geofence.latitude > 90 ||
+    !Number.isFinite(geofence.longitude) ||
+    geofence.longitude < -180 ||
+    geofence.longitude > 180
+  ) {
+    return res.status(400).json({ message: "Invalid venue coordinates" });
+  }
+  if (!Number.isFinite(geofence.radius) || geofence.radius <= 0) {
+    return res
+      .status(400)
+      .json({ message: "Radius must be a positive number of meters" });
+  }
+
+  try {
+    const event = await Event.findOneAndUpdate(
+      { competitionName },
+      { geofence },
+      { new: true, runValidators: true }
+    );
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    return res.json({ message: "Geofence updated successfully", event });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// current venue QR code for the check-in screen, poll again at expiresAt
+router.get("/venueQr", async (req, res) => {
+  const { competitionName } = req.query;
+  if (!competitionName) {
+    return res.status(400).json({ message: "Competition name is required" });
+  }
+
+  try {
+    const event = await Event.findOne({ competitionName });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const { token, expiresAt } = issueVenueToken(event);
+    return res.json({
+      token,
+      qr: await renderVenueQr(token),
+      expiresAt,
+      rotationSeconds: event.qr_rotation_seconds,
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// {competitionName, qr_rotation_seconds} - how often the venue QR code changes
+router.post("/updateqrrotation", async (req, res) => {
+  const { competitionName, qr_rotation_seconds } = req.body;
+  if (!competitionName) {
+    return res.status(400).json({ message: "Competition name is required" });
+  }
+  if (!Number.isInteger(qr_rotation_seconds) || qr_rotation_seconds < 5) {
+    return res.status(400).json({
+      message: "qr_rotation_seconds must be a whole number of at least 5",
+    });
+  }
+
+  try {
+    const event = await Event.findOneAndUpdate(
+      { competitionName },
+      { qr_rotation_seconds },
+      { new: true }
+    );
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    return res.json({ message: "QR rotation updated successfully", event });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+router.post("/updatevenues", async (req, res) => {
+  const { competitionName, venues } = req.body;
+  if (!competitionName || !Array.isArray(venues)) {
+    return res.status(400).json({ message: "Required fields missing" });
+  }
+
+  for (const venue of venues) {
+    const error = validateVenue(venue);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+  }
+  const names = venues.map((venue) => venue.name);
+  if (new Set(names).size !== names.length) {
+    return res.status(400).json({ message: "Venue names must be unique" });
+  }
+
+  // keep only the fields relevant to each venue type
+  const cleanVenues = venues.map(({ name, type = "circle", ...venue }) =>
+    type === "polygon"
+      ? { name, type, polygon: venue.polygon }
+      : {
+          name,
+          type,
+          latitude: venue.latitude,
+          longitude: venue.longitude,
+          radius: venue.radius,
+        }
+  );
+
+  try {
+    const event = await Event.findOneAndUpdate(
+      { competitionName },
+      { venues: cleanVenues },
+      { new: true, runValidators: true }
+    );
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    return res.json({ message: "Venues updated successfully", event });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// {competitionName, sessions: [{name, start_time, end_time, venues?}], allow_overlap?}
+// moves the event window to span the sessions, checked like any other event
+// edit, see saveEvent
+router.post("/updatesessions", async (req, res) => {
+  const { competitionName, sessions } = req.body;
+  if (!competitionName || !Array.isArray(sessions)) {
+    return res.status(400).json({ message: "Required fields missing" });
+  }
+
+  const sessionError = validateSessions(sessions);
+  if (sessionError) {
+    return res.status(400).json({ message: sessionError });
+  }
+  for (const session of sessions) {
+    for (const venue of session.venues || []) {
+      const error = validateVenue(venue);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+    }
+  }
+
+  try {
+    const event = await Event.findOne({ competitionName });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    // keep ids of sessions that already exist so stored attendance still points at them
+    event.sessions = sessions.map(({ name, start_time, end_time, venues = [] }) => {
+      const existing = event.sessions.find((session) => session.name === name);
+      return {
+        ...(existing ? { _id: existing._id } : {}),
+        name,
+        start_time: new Date(start_time),
+        end_time: new Date(end_time),
+        venues,
+      };
+    });
+    // the event window spans all of its sessions
+    if (sessions.length > 0) {
+      event.start_time = new Date(
+        Math.min(...sessions.map((session) => new Date(session.start_time)))
+      );
+      event.end_time = new Date(
+        Math.max(...sessions.map((session) => new Date(session.end_time)))
+      );
+    }
+    const failure = await saveEvent(event, {
+      allowOverlap: req.body.allow_overlap === true,
+    });
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    return res.json({
+      message: "Sessions updated successfully",
+      event: mapEventWithStatus(event),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// attendance of every team in one session of an event
+router.get("/sessionAttendance", async (req, res) => {
+  const { competitionName, session: sessionName } = req.query;
+  if (!competitionName || !sessionName) {
+    return res.status(400).json({ message: "Required fields missing" });
+  }
+
+  try {
+    const event = await Event.findOne({ competitionName });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    const session = event.sessions.find(
+      (candidate) => candidate.name === sessionName
+    );
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    const teams = await CodersCupAttendance.find({
+      "Session Attendance.session": session._id,
+    });
+    res.json(
+      teams.map((team) => ({
+        team_name: team["Team Name"],
+        att_code: team["Att Code"],
+        entries: getSessionEntries(team, session),
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Server-Sent Events stream of attendance changes for live dashboards. Opens
+// with a "counts" event, then sends an "attendance" event per change.
+router.get("/feed", async (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event, data) =>
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const onChange = (change) => send("attendance", change);
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    FEED_HEARTBEAT_INTERVAL
+  );
+  attendanceFeed.on("change", onChange);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    attendanceFeed.off("change", onChange);
+  });
+
+  try {
+    send("counts", await getAttendanceCounts());
+  } catch (err) {
+    send("error", { message: err.message });
+  }
+});
+
+// one page of the team listing:
+// ?q=...&competitionName=...&attended=true|false&arrival=...&section=...
+//  &sort=name|checked_in|registered (- for descending)&limit=50&cursor=...
+// responds with the teams of the page, the X-Total-Count header counts every
+// match and X-Next-Cursor is passed back as ?cursor= for the following page
+router.get("/getAllTeams", async (req, res) => {
+  try {
+    const resolved = await withCompetitionId(req.query);
+    if (resolved.error) {
+      return res.status(404).json({ message: resolved.error });
+    }
+    const query = buildTeamListQuery(resolved.query);
+    if (query.error) {
+      return res.status(400).json({ message: query.error });
+    }
+
+    const [teams, total] = await Promise.all([
+      CodersCupAttendance.find(query.pageFilter)
+        .sort(query.sort)
+        .limit(query.limit + 1)
+        .populate("competition", "competitionName"),
+      CodersCupAttendance.countDocuments(query.filter),
+    ]);
+
+    const nextCursor = nextPageCursor(teams, query.limit, query.field);
+    res.set("X-Total-Count", String(total));
+    if (nextCursor) res.set("X-Next-Cursor", nextCursor);
+    res.json(teams.slice(0, query.limit).map((team) => mapTeamToSchema(team)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// teams with their attendance as a download, streamed so big competitions
+// don't have to fit in memory:
+// ?format=csv|xlsx|json, the getAllTeams filters and presence=present|partial|absent
+router.get("/teams/export", async (req, res) => {
+  const { format = "csv", competitionName } = req.query;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res
+      .status(400)
+      .json({ message: `format must be one of ${EXPORT_FORMATS.join(", ")}` });
+  }
+
+  const filename = (competitionName || "all-teams")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-");
+  try {
+    const resolved = await withCompetitionId(req.query);
+    if (resolved.error) {
+      return res.status(404).json({ message: resolved.error });
+    }
+    const { filter, presence, error } = buildExportFilter(resolved.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const cursor = CodersCupAttendance.find(filter)
+      .sort({ "Team Name": 1 })
+      .populate("competition", "competitionName")
+      .cursor();
+    await streamTeamExport(res, cursor, { format, filename, presence });
+  } catch (err) {
+    // once the download has started the status can't change, cut it short
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// a single team, deleted ones included, with its change log
+router.get("/teams/:att_code", async (req, res) => {
+  try {
+    const team = await CodersCupAttendance.findOne({
+      "Att Code": req.params.att_code,
+    })
+      .setOptions({ withDeleted: true })
+      .populate("competition", "competitionName");
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    const changes = await TeamChange.find({ team: team._id }).sort({
+      createdAt: 1,
+    });
+    res.json({
+      team: {
+        ...mapTeamToSchema(team),
+        deleted_at: team.deletedAt || null,
+        deleted_by: team.deletedBy || "",
+      },
+      changes,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// edit registration fields {team_name, leader_email, member1_name, ...},
+// validated like a new registration. Attendance has its own endpoints.
+router.put("/teams/:att_code", async (req, res) => {
+  const keys = Object.keys(req.body || {});
+  const unknown = keys.filter((key) => !Object.hasOwn(REGISTRATION_FIELDS, key));
+  if (unknown.length > 0) {
+    return res
+      .status(400)
+      .json({ message: `Fields cannot be edited: ${unknown.join(", ")}` });
+  }
+  if (keys.length === 0) {
+    return res.status(400).json({ message: "No fields to update" });
+  }
+
+  try {
+    const team = await CodersCupAttendance.findOne({
+      "Att Code": req.params.att_code,
+    });
     if (!team) {
       return res.status(404).json({ message: "Team not found" });
     }
 
-    team["Attendance Marked"] = true;
+    const event = await findTeamEvent(team);
+    const fieldNames = keys.map((key) => REGISTRATION_FIELDS[key]);
+    const fields = toTeamFields({ ...toRegistrationBody(team), ...req.body });
+    // only what's being edited, stored values predating today's formats stay
+    const errors = validateTeamFields(fields, {
+      minTeamSize: event ? event.min_team_size : undefined,
+      maxTeamSize: event ? event.max_team_size : undefined,
+      fieldNames,
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid team", errors });
+    }
+    const conflicts = await findMemberConflicts(
+      fields,
+      team.competition,
+      team._id
+    );
+    if (conflicts.length > 0) {
+      return res.status(409).json({ message: "Invalid team", errors: conflicts });
+    }
+
+    const changes = getFieldChanges(team, fields, fieldNames);
+    if (changes.length === 0) {
+      return res.json({ message: "Nothing to change", team: mapTeamToSchema(team) });
+    }
+    for (const { field, to } of changes) {
+      team[field] = to;
+    }
     await team.save();
-    return res.json({ message: "Attendance marked successfully",  team: mapTeamToSchema(team)
+    await recordTeamChange(req, team, "update", changes);
+
+    return res.json({
+      message: "Team updated successfully",
+      changes,
+      team: mapTeamToSchema(team),
     });
   } catch (err) {
     return res.status(500).json({ message: err.message });
   }
 });
 
-router.post("/unmarkAttendance", async (req, res) => {
-  const { att_code } = req.body;
-  if (!att_code) {
-    return res.status(400).json({ message: "No team code provided" });
+// soft delete, the team disappears from listings and can't check in until restored
+router.delete("/teams/:att_code", async (req, res) => {
+  try {
+    const team = await CodersCupAttendance.findOne({
+      "Att Code": req.params.att_code,
+    });
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    team.deletedAt = new Date();
+    team.deletedBy = req.admin.adminUserName;
+    await team.save();
+    await recordTeamChange(req, team, "delete");
+
+    return res.json({ message: "Team deleted successfully" });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
   }
+});
 
+router.post("/teams/:att_code/restore", async (req, res) => {
   try {
-    const team = await CodersCupAttendance.findOne({ "Att Code": att_code });
+    const team = await CodersCupAttendance.findOne({
+      "Att Code": req.params.att_code,
+    }).setOptions({ withDeleted: true });
     if (!team) {
       return res.status(404).json({ message: "Team not found" });
     }
+    if (!team.deletedAt) {
+      return res.status(409).json({ message: "Team is not deleted" });
+    }
+
+    // members may have registered with another team in the meantime
+    const conflicts = await findMemberConflicts(
+      team,
+      team.competition,
+      team._id
+    );
+    if (conflicts.length > 0) {
+      return res
+        .status(409)
+        .json({ message: "Team cannot be restored", errors: conflicts });
+    }
 
-    team["Attendance Marked"] = false;
+    team.deletedAt = null;
+    team.deletedBy = "";
     await team.save();
-    return res.json({ message: "Attendance unmarked successfully", team: mapTeamToSchema(team) });
+    await recordTeamChange(req, team, "restore");
+
+    return res.json({
+      message: "Team restored successfully",
+      team: mapTeamToSchema(team),
+    });
   } catch (err) {
     return res.status(500).json({ message: err.message });
   }
 });
 
-router.post("/updatetime", async (req, res) => {
-  const { competitionName, start_time, end_time } = req.body;
-  if (!competitionName || !start_time || !end_time) {
-    return res.status(400).json({ message: "Required fields missing" });
-  }
-  const startTimeDate = new Date(start_time);
-  const endTimeDate = new Date(end_time);
-  // valid times
-  if (endTimeDate <= startTimeDate) {
-    return res
-      .status(400)
-      .json({ message: "End time must be after start time" });
+// teams where only some of the registered members have checked in
+router.get("/partialTeams", async (req, res) => {
+  try {
+    const attended = await CodersCupAttendance.find({
+      "Attendance Marked": true,
+    });
+
+    const partialTeams = attended
+      .map((team) => ({ team, presence: getTeamPresence(team) }))
+      .filter(({ presence }) => presence.status === "partial")
+      .map(({ team, presence }) => ({
+        ...mapTeamToSchema(team),
+        present_members: presence.present.map(
+          (slot) => team[MEMBER_SLOTS[slot].name]
+        ),
+        absent_members: presence.absent.map(
+          (slot) => team[MEMBER_SLOTS[slot].name]
+        ),
+      }));
+
+    res.json(partialTeams);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
+});
+
+// on-site time per checked in person, ?format=csv for a spreadsheet download
+router.get("/durations", async (req, res) => {
+  const { format = "json" } = req.query;
 
   try {
-    const event = await Event.findOneAndUpdate(
-      { competitionName },
-      { start_time: startTimeDate, end_time: endTimeDate },
-      { new: true }
+    const attended = await CodersCupAttendance.find({
+      "Attendance Marked": true,
+    });
+
+    const rows = attended.flatMap((team) =>
+      getOnSiteDurations(team).map((duration) => ({
+        team_name: team["Team Name"],
+        att_code: team["Att Code"],
+        member: duration.member || "team",
+        name: duration.name,
+        checked_in_at: duration.checkedInAt,
+        checked_out_at: duration.checkedOutAt,
+        duration_minutes: duration.durationMinutes,
+      }))
     );
 
+    if (format === "csv") {
+      const columns = [
+        { key: "team_name", header: "Team Name" },
+        { key: "att_code", header: "Att Code" },
+        { key: "member", header: "Member" },
+        { key: "name", header: "Name" },
+        { key: "checked_in_at", header: "Checked In At" },
+        { key: "checked_out_at", header: "Checked Out At" },
+        { key: "duration_minutes", header: "Duration (minutes)" },
+      ];
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        'attachment; filename="onsite-durations.csv"'
+      );
+      return res.send(toCsv(rows, columns));
+    }
+
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// events with their current status, ?includeArchived=true for archived ones too
+router.get("/events", async (req, res) => {
+  const filter =
+    req.query.includeArchived === "true"
+      ? {}
+      : { status: { $ne: EVENT_STATUS.ARCHIVED } };
+
+  try {
+    const events = await Event.find(filter).sort({ start_time: 1 });
+    res.json(events.map((event) => mapEventWithStatus(event)));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get("/events/:competitionName", async (req, res) => {
+  try {
+    const event = await Event.findOne({
+      competitionName: req.params.competitionName,
+    });
     if (!event) {
       return res.status(404).json({ message: "Event not found" });
     }
+    res.json(mapEventWithStatus(event));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// validate and save a new or edited event, running at the same time as
+// another event is refused unless allow_overlap is set
+async function saveEvent(event, { allowOverlap }) {
+  const windowError = validateEventWindows(event);
+  if (windowError) {
+    return { status: 400, body: { message: windowError } };
+  }
+
+  const duplicate = await Event.exists({
+    competitionName: event.competitionName,
+    _id: { $ne: event._id },
+  });
+  if (duplicate) {
+    return {
+      status: 409,
+      body: { message: `An event named "${event.competitionName}" already exists` },
+    };
+  }
+
+  if (!allowOverlap) {
+    const overlapping = findOverlappingEvents(event, await Event.find());
+    if (overlapping.length > 0) {
+      return {
+        status: 409,
+        body: {
+          message: `Overlaps with ${overlapping
+            .map((other) => `"${other.competitionName}"`)
+            .join(", ")}, set allow_overlap to save anyway`,
+        },
+      };
+    }
+  }
 
-    return res.json({ message: "Time  updated successfully", event });
+  // keep the stored status current for published events
+  if (isEventPublished(event)) {
+    event.status = getScheduleStatus(event);
+  }
+  try {
+    await event.validate();
+  } catch (err) {
+    return { status: 400, body: { message: err.message } };
+  }
+  await event.save();
+  return null;
+}
+
+// new event {competitionName, start_time, end_time, ...settings}, saved as a
+// draft unless publish is set
+router.post("/events", async (req, res) => {
+  const { fields, error } = parseEventFields(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  if (!fields.competitionName || !fields.start_time || !fields.end_time) {
+    return res.status(400).json({
+      message: "Required fields missing (competitionName, start_time, end_time)",
+    });
+  }
+
+  try {
+    const event = new Event({
+      ...fields,
+      status: req.body.publish === true ? undefined : EVENT_STATUS.DRAFT,
+    });
+    const failure = await saveEvent(event, {
+      allowOverlap: req.body.allow_overlap === true,
+    });
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+    return res.status(201).json({
+      message: "Event created successfully",
+      event: mapEventWithStatus(event),
+    });
   } catch (err) {
     return res.status(500).json({ message: err.message });
   }
 });
 
-router.get("/getAllTeams", async (req, res) => {
+// edit an event's name, times and settings
+router.put("/events/:competitionName", async (req, res) => {
+  const { fields, error } = parseEventFields(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ message: "No fields to update" });
+  }
+
+  try {
+    const event = await Event.findOne({
+      competitionName: req.params.competitionName,
+    });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    event.set(fields);
+    const failure = await saveEvent(event, {
+      allowOverlap: req.body.allow_overlap === true,
+    });
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    return res.json({
+      message: "Event updated successfully",
+      event: mapEventWithStatus(event),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// make a draft (or archived) event visible for registration and check-in
+router.post("/events/:competitionName/publish", async (req, res) => {
+  try {
+    const event = await Event.findOne({
+      competitionName: req.params.competitionName,
+    });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    event.status = getScheduleStatus(event);
+    await event.save();
+    return res.json({
+      message: "Event published successfully",
+      event: mapEventWithStatus(event),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+router.post("/events/:competitionName/archive", async (req, res) => {
+  try {
+    const event = await Event.findOne({
+      competitionName: req.params.competitionName,
+    });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+    if (getEventStatus(event) === EVENT_STATUS.LIVE) {
+      return res
+        .status(409)
+        .json({ message: "A live event cannot be archived" });
+    }
+
+    event.status = EVENT_STATUS.ARCHIVED;
+    await event.save();
+    return res.json({
+      message: "Event archived successfully",
+      event: mapEventWithStatus(event),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// only events without teams, deleted ones included, can be removed for good
+router.delete("/events/:competitionName", async (req, res) => {
   try {
-    const attendances = await CodersCupAttendance.find();
+    const event = await Event.findOne({
+      competitionName: req.params.competitionName,
+    });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const hasTeams = await CodersCupAttendance.exists(
+      { competition: event._id },
+      { withDeleted: true }
+    );
+    if (hasTeams) {
+      return res.status(409).json({
+        message: "Event has registered teams, archive it instead",
+      });
+    }
+
+    await Event.deleteOne({ _id: event._id });
+    return res.json({ message: "Event deleted successfully" });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+const mapResultTeam = (team) => ({
+  att_code: team["Att Code"],
+  team_name: team["Team Name"],
+});
 
-    // Map each document to your clean schema
-    const mappedTeams = attendances.map(team => mapTeamToSchema(team));
+// rankings of an event, including before they're public
+router.get("/events/:competitionName/results", async (req, res) => {
+  try {
+    const event = await Event.findOne({
+      competitionName: req.params.competitionName,
+    });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
 
-    res.json(mappedTeams);
+    const teams = await CodersCupAttendance.find({
+      _id: { $in: event.results.map((result) => result.team) },
+    });
+    res.json({
+      competitionName: event.competitionName,
+      public: areResultsPublic(event),
+      updatedAt: event.results_updated_at,
+      updatedBy: event.results_updated_by,
+      results: mapResults(event, teams, mapResultTeam),
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
+// record an event's rankings {results: [{att_code, position}]}, replacing
+// any recorded before, teams on the same position are tied
+router.put("/events/:competitionName/results", async (req, res) => {
+  const entries = req.body.results;
+  if (!Array.isArray(entries)) {
+    return res
+      .status(400)
+      .json({ message: "Parameters missing (results: [{att_code, position}])" });
+  }
+
+  try {
+    const event = await Event.findOne({
+      competitionName: req.params.competitionName,
+    });
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    const teams = await CodersCupAttendance.find({
+      competition: event._id,
+      "Att Code": { $in: entries.map((entry) => entry && entry.att_code) },
+    });
+    const { results, errors } = validateResults(entries, teams);
+    if (errors) {
+      return res.status(400).json({ message: "Invalid results", errors });
+    }
+
+    event.results = results;
+    event.results_updated_at = new Date();
+    event.results_updated_by = req.admin.adminUserName;
+    await event.save();
+
+    res.json({
+      message: "Results saved successfully",
+      public: areResultsPublic(event),
+      results: mapResults(event, teams, mapResultTeam),
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
 router.get("/getAllCompetitions", async (req, res) => {
   try {
@@ -127,6 +1651,154 @@ router.get("/getAllCompetitions", async (req, res) => {
   }
 });
 
+// rejected /mark submissions (stale, replayed, bad challenge), newest first
+router.get("/rejectedAttempts", async (req, res) => {
+  const { code, att_code } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+  const filter = {};
+  if (code) filter.code = code;
+  if (att_code) filter.attCode = att_code;
+
+  try {
+    const attempts = await RejectedAttempt.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json(attempts);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// check-ins flagged as possibly spoofed, oldest first so they are handled in order
+router.get("/reviews", async (req, res) => {
+  const { status = "pending" } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+  try {
+    const reviews = await AttendanceReview.find(status === "all" ? {} : { status })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .populate("team", { "Team Name": 1, "Att Code": 1 });
+    res.json(reviews);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.post("/reviews/:id/approve", async (req, res) => {
+  const { note = "" } = req.body;
+
+  try {
+    const review = await AttendanceReview.findOne({
+      _id: req.params.id,
+      status: "pending",
+    });
+    if (!review) {
+      return res.status(404).json({ message: "Pending review not found" });
+    }
+
+    const team = await CodersCupAttendance.findById(review.team);
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    const markedAt = new Date();
+    const event = await findTeamEvent(team);
+    const session = review.session
+      ? (event &&
+          event.sessions.find(
+            (candidate) => String(candidate._id) === String(review.session)
+          )) || { _id: review.session, name: review.sessionName }
+      : null;
+    // arrival is judged by when the participant submitted, not when approved
+    const arrivalStatus =
+      session && !session.start_time
+        ? null
+        : classifyAdminArrival(event, session, review.createdAt || markedAt);
+    if (review.member) {
+      markMember(team, review.member, markedAt, arrivalStatus);
+    } else {
+      markTeam(team, markedAt, arrivalStatus);
+    }
+    if (session && !isMarkedForSession(team, session, review.member)) {
+      markSessionAttendance(
+        team,
+        session,
+        review.member,
+        markedAt,
+        arrivalStatus
+      );
+    }
+    team["Attendance Location"] = review.location;
+    await team.save();
+    await recordAttendanceEvent(req, team, {
+      action: "mark",
+      source: "admin",
+      member: review.member,
+      session,
+      location: review.location,
+    });
+
+    review.status = "approved";
+    review.reviewedBy = req.admin.adminUserName;
+    review.reviewedAt = new Date();
+    review.note = note;
+    await review.save();
+
+    return res.json({
+      message: "Attendance approved and marked",
+      review,
+      team: mapTeamToSchema(team),
+    });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+router.post("/reviews/:id/reject", async (req, res) => {
+  const { note = "" } = req.body;
+
+  try {
+    const review = await AttendanceReview.findOneAndUpdate(
+      { _id: req.params.id, status: "pending" },
+      {
+        status: "rejected",
+        reviewedBy: req.admin.adminUserName,
+        reviewedAt: new Date(),
+        note,
+      },
+      { new: true }
+    );
+    if (!review) {
+      return res.status(404).json({ message: "Pending review not found" });
+    }
+
+    return res.json({ message: "Attendance rejected", review });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// full attendance change history of one team, oldest first
+router.get("/attendanceHistory/:att_code", async (req, res) => {
+  try {
+    const team = await CodersCupAttendance.findOne({
+      "Att Code": req.params.att_code,
+    });
+    if (!team) {
+      return res.status(404).json({ message: "Team not found" });
+    }
+
+    const history = await AttendanceHistory.find({ team: team._id }).sort({
+      createdAt: 1,
+    });
+    res.json({ team: mapTeamToSchema(team), history });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
 router.post("/register", async (req, res) => {
   const { username, password } = req.body;
 
@@ -152,11 +1824,3 @@ router.post("/register", async (req, res) => {
 });
 
 module.exports = router;
-
-// Attendance (PR portal):
-// /markattendance - done and checked
-// /updatetime - done and checked
-
-// Results:
-// /WinnerUpdate
-// /WinnerSet
@@ -0,0 +1,747 @@
+const request = require("supertest");
+const express = require("express");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+let mockTeams;
+let mockEvents;
+let mockSyncedKeys;
+
+function makeTeam(attCode, overrides = {}) {
+  return {
+    _id: `id-${attCode}`,
+    "Team Name": "Segfault Survivors",
+    "Leader Name": "Ayesha Khan",
+    "Leader Email Address": "ayesha@example.com",
+    "Member 1 Name": "Bilal Ahmed",
+    "Member 1 Email Address": "bilal@example.com",
+    "Member 2 Name": "",
+    "Leader CNIC": "42101-1234567-1",
+    "Leader Phone Number": "0300-1234567",
+    competition: "event-speed",
+    "Att Code": attCode,
+    "Attendance Marked": false,
+    deletedAt: null,
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  };
+}
+
+function mockEventDocument(fields) {
+  return {
+    _id: `event-${fields.competitionName}`,
+    sessions: [],
+    venues: [],
+    results: [],
+    ...fields,
+    set(values) {
+      Object.assign(this, values);
+    },
+    validate: jest.fn().mockResolvedValue(),
+    save: jest.fn().mockResolvedValue(),
+  };
+}
+
+// soft deleted teams are left out unless the query asks for them, as the
+// schema's query hook does
+function mockQuery(find) {
+  let options = {};
+  const query = {
+    setOptions: jest.fn((values) => {
+      options = values;
+      return query;
+    }),
+    populate: jest.fn(() => query),
+    sort: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    then: (resolve, reject) =>
+      Promise.resolve()
+        .then(() => find(options))
+        .then(resolve, reject),
+  };
+  return query;
+}
+
+const mockVisible = (team, options = {}) =>
+  Boolean(options.withDeleted) || !team.deletedAt;
+
+function mockMatches(team, filter) {
+  const attCode = filter["Att Code"];
+  const id = filter._id;
+  return (
+    (!filter.competition || team.competition === filter.competition) &&
+    (!attCode || attCode.$in.includes(team["Att Code"])) &&
+    (!id || (id.$ne ? team._id !== id.$ne : id.$in.includes(team._id)))
+  );
+}
+
+jest.mock("../models/Models", () => ({
+  CodersCupAttendance: {
+    findOne: jest.fn((filter) =>
+      mockQuery((options) => {
+        const team = mockTeams[filter["Att Code"]];
+        return team && mockVisible(team, options) ? team : null;
+      })
+    ),
+    find: jest.fn((filter) =>
+      mockQuery((options) =>
+        Object.values(mockTeams).filter(
+          (team) => mockVisible(team, options) && mockMatches(team, filter)
+        )
+      )
+    ),
+    exists: jest.fn((filter, options) =>
+      Promise.resolve(
+        Object.values(mockTeams).some(
+          (team) => mockVisible(team, options) && mockMatches(team, filter)
+        )
+          ? { _id: "team" }
+          : null
+      )
+    ),
+    countDocuments: jest.fn().mockResolvedValue(0),
+  },
+  Event: Object.assign(
+    jest.fn((fields) => mockEventDocument(fields)),
+    {
+      findOne: jest.fn(({ competitionName }) =>
+        Promise.resolve(mockEvents[competitionName] || null)
+      ),
+      findById: jest.fn((id) =>
+        Promise.resolve(
+          Object.values(mockEvents).find((event) => event._id === id) || null
+        )
+      ),
+      find: jest.fn(() => Promise.resolve(Object.values(mockEvents))),
+      exists: jest.fn(({ competitionName, _id }) =>
+        Promise.resolve(
+          Object.values(mockEvents).some(
+            (event) =>
+              event.competitionName === competitionName && event._id !== _id.$ne
+          )
+            ? { _id: "event" }
+            : null
+        )
+      ),
+      deleteOne: jest.fn().mockResolvedValue({ deletedCount: 1 }),
+    }
+  ),
+  OfflineSyncRecord: {
+    exists: jest.fn(({ key }) =>
+      Promise.resolve(mockSyncedKeys.has(key) ? { _id: "record" } : null)
+    ),
+    create: jest.fn((record) => {
+      mockSyncedKeys.add(record.key);
+      return Promise.resolve(record);
+    }),
+  },
+  AttendanceHistory: { create: jest.fn().mockResolvedValue({}) },
+  TeamChange: {
+    create: jest.fn().mockResolvedValue({}),
+    find: jest.fn(() => mockQuery(() => [])),
+  },
+}));
+
+const {
+  CodersCupAttendance,
+  Event,
+  OfflineSyncRecord,
+  AttendanceHistory,
+  TeamChange,
+} = require("../models/Models");
+const { markTeam } = require("../utils/teamMembers");
+const adminRoutes = require("./adminRoutes");
+
+const app = express();
+app.use(express.json());
+// stands in for VerifyJWT
+app.use((req, res, next) => {
+  req.admin = { adminUserName: "head-volunteer" };
+  next();
+});
+app.use("/api/admin", adminRoutes);
+
+beforeEach(() => {
+  const now = Date.now();
+  mockTeams = { "CC-1234": makeTeam("CC-1234") };
+  mockEvents = {
+    "Speed Programming": mockEventDocument({
+      _id: "event-speed",
+      competitionName: "Speed Programming",
+      start_time: new Date(now - HOUR),
+      end_time: new Date(now + HOUR),
+      min_team_size: 1,
+      max_team_size: 3,
+    }),
+  };
+  mockSyncedKeys = new Set();
+  jest.clearAllMocks();
+});
+
+describe("POST /api/admin/sync", () => {
+  const record = (minutesAgo, overrides = {}) => ({
+    att_code: "CC-1234",
+    device_id: "gate-tablet-1",
+    client_timestamp: new Date(Date.now() - minutesAgo * MINUTE).toISOString(),
+    ...overrides,
+  });
+
+  it("should check teams in from offline records", async () => {
+    const offline = record(30);
+    const response = await request(app)
+      .post("/api/admin/sync")
+      .send({ records: [offline] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results[0].status).toBe("applied");
+    expect(response.body.summary.applied).toBe(1);
+    const team = mockTeams["CC-1234"];
+    expect(team["Attendance Marked"]).toBe(true);
+    expect(team["Attendance Marked At"]).toEqual(new Date(offline.client_timestamp));
+    expect(AttendanceHistory.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "mark",
+        source: "offline",
+        deviceId: "gate-tablet-1",
+        adminUserName: "head-volunteer",
+      })
+    );
+    expect(OfflineSyncRecord.create).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "applied", syncedBy: "head-volunteer" })
+    );
+  });
+
+  it("should apply a re-uploaded record only once", async () => {
+    const offline = record(30);
+    await request(app).post("/api/admin/sync").send({ records: [offline] });
+    const response = await request(app)
+      .post("/api/admin/sync")
+      .send({ records: [offline] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results[0].status).toBe("duplicate");
+    expect(mockTeams["CC-1234"].save).toHaveBeenCalledTimes(1);
+    expect(AttendanceHistory.create).toHaveBeenCalledTimes(1);
+  });
+
+  it("should move a later check-in back to the offline time", async () => {
+    const team = mockTeams["CC-1234"];
+    markTeam(team, new Date(Date.now() - 10 * MINUTE), "late");
+    const offline = record(40);
+
+    const response = await request(app)
+      .post("/api/admin/sync")
+      .send({ records: [offline] });
+
+    expect(response.body.results[0].status).toBe("backdated");
+    expect(team["Attendance Marked At"]).toEqual(new Date(offline.client_timestamp));
+    expect(team.save).toHaveBeenCalled();
+  });
+
+  it("should leave an earlier check-in as it is", async () => {
+    const team = mockTeams["CC-1234"];
+    const markedAt = new Date(Date.now() - 40 * MINUTE);
+    markTeam(team, markedAt, "late");
+
+    const response = await request(app)
+      .post("/api/admin/sync")
+      .send({ records: [record(10)] });
+
+    expect(response.body.results[0].status).toBe("already_marked");
+    expect(team["Attendance Marked At"]).toBe(markedAt);
+    expect(team.save).not.toHaveBeenCalled();
+    expect(AttendanceHistory.create).not.toHaveBeenCalled();
+    expect(OfflineSyncRecord.create).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "already_marked" })
+    );
+  });
+
+  it("should reject records from outside check-in", async () => {
+    const response = await request(app)
+      .post("/api/admin/sync")
+      .send({ records: [record(3 * 60)] });
+
+    expect(response.body.results[0]).toMatchObject({
+      status: "rejected",
+      reason: "client_timestamp is outside check-in for the event",
+    });
+    expect(mockTeams["CC-1234"]["Attendance Marked"]).toBe(false);
+    expect(OfflineSyncRecord.create).not.toHaveBeenCalled();
+  });
+
+  it("should report every record in the order sent", async () => {
+    mockTeams["CC-5678"] = makeTeam("CC-5678");
+    const response = await request(app)
+      .post("/api/admin/sync")
+      .send({
+        records: [
+          record(5, { att_code: "CC-5678" }),
+          record(20),
+          record(10, { att_code: "CC-0000" }),
+        ],
+      });
+
+    expect(response.body.results.map((result) => result.att_code)).toEqual([
+      "CC-5678",
+      "CC-1234",
+      "CC-0000",
+    ]);
+    expect(response.body.summary).toMatchObject({ applied: 2, rejected: 1 });
+  });
+
+  it("should refuse an empty batch", async () => {
+    const response = await request(app)
+      .post("/api/admin/sync")
+      .send({ records: [] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe("No records provided");
+  });
+});
+
+describe("PUT /api/admin/teams/:att_code", () => {
+  it("should edit registration fields and log the change", async () => {
+    const response = await request(app)
+      .put("/api/admin/teams/CC-1234")
+      .send({ leader_email: " Ayesha.Khan@Example.com " });
+
+    expect(response.status).toBe(200);
+    expect(response.body.changes).toEqual([
+      {
+        field: "Leader Email Address",
+        from: "ayesha@example.com",
+        to: "ayesha.khan@example.com",
+      },
+    ]);
+    expect(mockTeams["CC-1234"].save).toHaveBeenCalled();
+    expect(TeamChange.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "update",
+        attCode: "CC-1234",
+        adminUserName: "head-volunteer",
+      })
+    );
+  });
+
+  it("should refuse fields that aren't registration fields", async () => {
+    const response = await request(app)
+      .put("/api/admin/teams/CC-1234")
+      .send({ "Attendance Marked": true, constructor: "x" });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(
+      "Fields cannot be edited: Attendance Marked, constructor"
+    );
+  });
+
+  it("should only validate the fields being edited", async () => {
+    mockTeams["CC-1234"]["Leader Phone Number"] = "021-1234567";
+
+    const ok = await request(app)
+      .put("/api/admin/teams/CC-1234")
+      .send({ team_name: "Null Pointers" });
+    const invalid = await request(app)
+      .put("/api/admin/teams/CC-1234")
+      .send({ leader_email: "not-an-email" });
+
+    expect(ok.status).toBe(200);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors).toEqual([
+      'Leader email "not-an-email" is not a valid email address',
+    ]);
+  });
+
+  it("should refuse a member registered with another team", async () => {
+    mockTeams["CC-5678"] = makeTeam("CC-5678", {
+      "Team Name": "Off By One",
+      "Leader Email Address": "zara@example.com",
+      "Member 1 Email Address": "usman@example.com",
+      "Leader CNIC": "",
+    });
+
+    const response = await request(app)
+      .put("/api/admin/teams/CC-1234")
+      .send({ member1_email: "usman@example.com" });
+
+    expect(response.status).toBe(409);
+    expect(response.body.errors).toEqual([
+      'usman@example.com is already registered with team "Off By One"',
+    ]);
+    expect(mockTeams["CC-1234"].save).not.toHaveBeenCalled();
+  });
+});
+
+describe("DELETE /api/admin/teams/:att_code", () => {
+  it("should soft delete the team", async () => {
+    const response = await request(app).delete("/api/admin/teams/CC-1234");
+
+    expect(response.status).toBe(200);
+    const team = mockTeams["CC-1234"];
+    expect(team.deletedAt).toBeInstanceOf(Date);
+    expect(team.deletedBy).toBe("head-volunteer");
+    expect(TeamChange.create).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "delete" })
+    );
+  });
+
+  it("should leave deleted teams out of edits", async () => {
+    await request(app).delete("/api/admin/teams/CC-1234");
+
+    const edit = await request(app)
+      .put("/api/admin/teams/CC-1234")
+      .send({ team_name: "Null Pointers" });
+    const again = await request(app).delete("/api/admin/teams/CC-1234");
+
+    expect(edit.status).toBe(404);
+    expect(again.status).toBe(404);
+  });
+});
+
+describe("POST /api/admin/teams/:att_code/restore", () => {
+  it("should restore a deleted team", async () => {
+    await request(app).delete("/api/admin/teams/CC-1234");
+    const response = await request(app).post(
+      "/api/admin/teams/CC-1234/restore"
+    );
+
+    expect(response.status).toBe(200);
+    expect(mockTeams["CC-1234"].deletedAt).toBeNull();
+    expect(mockTeams["CC-1234"].deletedBy).toBe("");
+    expect(TeamChange.create).toHaveBeenLastCalledWith(
+      expect.objectContaining({ action: "restore" })
+    );
+  });
+
+  it("should refuse a team that isn't deleted", async () => {
+    const response = await request(app).post(
+      "/api/admin/teams/CC-1234/restore"
+    );
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toBe("Team is not deleted");
+  });
+
+  it("should refuse when a member has joined another team since", async () => {
+    mockTeams["CC-1234"].deletedAt = new Date();
+    mockTeams["CC-5678"] = makeTeam("CC-5678", {
+      "Team Name": "Off By One",
+      "Leader Email Address": "zara@example.com",
+      "Leader CNIC": "",
+    });
+
+    const response = await request(app).post(
+      "/api/admin/teams/CC-1234/restore"
+    );
+
+    expect(response.status).toBe(409);
+    expect(response.body.errors).toEqual([
+      'bilal@example.com is already registered with team "Off By One"',
+    ]);
+    expect(mockTeams["CC-1234"].deletedAt).not.toBeNull();
+  });
+
+  it("should return 404 for unknown teams", async () => {
+    const response = await request(app).post(
+      "/api/admin/teams/CC-0000/restore"
+    );
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe("event lifecycle", () => {
+  const DAY = 24 * HOUR;
+  const inDays = (days, hours = 0) =>
+    new Date(Date.now() + days * DAY + hours * HOUR).toISOString();
+
+  beforeEach(() => {
+    mockEvents["SQL Saga"] = mockEventDocument({
+      _id: "event-sql",
+      competitionName: "SQL Saga",
+      start_time: new Date(inDays(3)),
+      end_time: new Date(inDays(3, 3)),
+      status: "draft",
+    });
+  });
+
+  describe("POST /api/admin/events", () => {
+    it("should save new events as drafts", async () => {
+      const response = await request(app)
+        .post("/api/admin/events")
+        .send({
+          competitionName: " Web Hackathon ",
+          start_time: inDays(7),
+          end_time: inDays(7, 6),
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.event).toMatchObject({
+        competitionName: "Web Hackathon",
+        status: "draft",
+      });
+      expect(Event.mock.results[0].value.save).toHaveBeenCalled();
+    });
+
+    it("should publish straight away when asked to", async () => {
+      const response = await request(app)
+        .post("/api/admin/events")
+        .send({
+          competitionName: "Web Hackathon",
+          start_time: inDays(7),
+          end_time: inDays(7, 6),
+          publish: true,
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.event.status).toBe("registration");
+    });
+
+    it("should refuse events running alongside another", async () => {
+      const body = {
+        competitionName: "Web Hackathon",
+        start_time: inDays(3, 1),
+        end_time: inDays(3, 5),
+      };
+      const refused = await request(app).post("/api/admin/events").send(body);
+      const allowed = await request(app)
+        .post("/api/admin/events")
+        .send({ ...body, allow_overlap: true });
+
+      expect(refused.status).toBe(409);
+      expect(refused.body.message).toBe(
+        'Overlaps with "SQL Saga", set allow_overlap to save anyway'
+      );
+      expect(allowed.status).toBe(201);
+    });
+
+    it("should refuse a name that is taken", async () => {
+      const response = await request(app)
+        .post("/api/admin/events")
+        .send({
+          competitionName: "SQL Saga",
+          start_time: inDays(7),
+          end_time: inDays(7, 6),
+        });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe(
+        'An event named "SQL Saga" already exists'
+      );
+    });
+
+    it("should refuse an event ending before it starts", async () => {
+      const response = await request(app)
+        .post("/api/admin/events")
+        .send({
+          competitionName: "Web Hackathon",
+          start_time: inDays(7, 6),
+          end_time: inDays(7),
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("End time must be after start time");
+    });
+  });
+
+  describe("PUT /api/admin/events/:competitionName", () => {
+    it("should update an event's settings", async () => {
+      const response = await request(app)
+        .put("/api/admin/events/SQL Saga")
+        .send({ late_grace_minutes: 20 });
+
+      expect(response.status).toBe(200);
+      expect(mockEvents["SQL Saga"].late_grace_minutes).toBe(20);
+      expect(mockEvents["SQL Saga"].save).toHaveBeenCalled();
+    });
+
+    it("should refuse moving an event onto another", async () => {
+      const response = await request(app)
+        .put("/api/admin/events/SQL Saga")
+        .send({ start_time: new Date().toISOString() });
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe(
+        'Overlaps with "Speed Programming", set allow_overlap to save anyway'
+      );
+      expect(mockEvents["SQL Saga"].save).not.toHaveBeenCalled();
+    });
+
+    it("should refuse renaming an event to a taken name", async () => {
+      const response = await request(app)
+        .put("/api/admin/events/SQL Saga")
+        .send({ competitionName: "Speed Programming" });
+
+      expect(response.status).toBe(409);
+    });
+
+    it("should return 404 for unknown events", async () => {
+      const response = await request(app)
+        .put("/api/admin/events/Web Hackathon")
+        .send({ late_grace_minutes: 20 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe("POST /api/admin/events/:competitionName/publish", () => {
+    it("should publish a draft by its schedule", async () => {
+      const response = await request(app).post(
+        "/api/admin/events/SQL Saga/publish"
+      );
+
+      expect(response.status).toBe(200);
+      expect(mockEvents["SQL Saga"].status).toBe("registration");
+      expect(mockEvents["SQL Saga"].save).toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/admin/events/:competitionName/archive", () => {
+    it("should archive events that aren't live", async () => {
+      const response = await request(app).post(
+        "/api/admin/events/SQL Saga/archive"
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.event.status).toBe("archived");
+    });
+
+    it("should refuse to archive a live event", async () => {
+      const response = await request(app).post(
+        "/api/admin/events/Speed Programming/archive"
+      );
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe("A live event cannot be archived");
+    });
+  });
+
+  describe("DELETE /api/admin/events/:competitionName", () => {
+    it("should delete events without teams", async () => {
+      const response = await request(app).delete("/api/admin/events/SQL Saga");
+
+      expect(response.status).toBe(200);
+      expect(Event.deleteOne).toHaveBeenCalledWith({ _id: "event-sql" });
+    });
+
+    it("should count deleted teams as registered", async () => {
+      mockTeams["CC-5678"] = makeTeam("CC-5678", {
+        competition: "event-sql",
+        deletedAt: new Date(),
+      });
+
+      const response = await request(app).delete("/api/admin/events/SQL Saga");
+
+      expect(response.status).toBe(409);
+      expect(response.body.message).toBe(
+        "Event has registered teams, archive it instead"
+      );
+      expect(Event.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe("PUT /api/admin/events/:competitionName/results", () => {
+  beforeEach(() => {
+    mockTeams["CC-1234"]["Attendance Marked"] = true;
+    mockTeams["CC-5678"] = makeTeam("CC-5678", { "Team Name": "Off By One" });
+  });
+
+  it("should record rankings of teams that attended", async () => {
+    const response = await request(app)
+      .put("/api/admin/events/Speed Programming/results")
+      .send({ results: [{ att_code: "CC-1234", position: 1 }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results).toEqual([
+      {
+        position: 1,
+        tied: false,
+        award: "1st Place",
+        att_code: "CC-1234",
+        team_name: "Segfault Survivors",
+      },
+    ]);
+    const event = mockEvents["Speed Programming"];
+    expect(event.results).toEqual([{ team: "id-CC-1234", position: 1 }]);
+    expect(event.results_updated_by).toBe("head-volunteer");
+    expect(event.save).toHaveBeenCalled();
+  });
+
+  it("should refuse to rank a team that didn't attend", async () => {
+    const response = await request(app)
+      .put("/api/admin/events/Speed Programming/results")
+      .send({
+        results: [
+          { att_code: "CC-1234", position: 1 },
+          { att_code: "CC-5678", position: 2 },
+        ],
+      });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([
+      'Att Code CC-5678: "Off By One" did not attend',
+    ]);
+    expect(mockEvents["Speed Programming"].save).not.toHaveBeenCalled();
+  });
+
+  it("should refuse teams from other competitions", async () => {
+    mockTeams["CC-5678"]["Attendance Marked"] = true;
+    mockTeams["CC-5678"].competition = "event-sql";
+
+    const response = await request(app)
+      .put("/api/admin/events/Speed Programming/results")
+      .send({ results: [{ att_code: "CC-5678", position: 1 }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([
+      "Att Code CC-5678: no such team in this competition",
+    ]);
+  });
+
+  it("should require a list of results", async () => {
+    const response = await request(app)
+      .put("/api/admin/events/Speed Programming/results")
+      .send({ results: { "CC-1234": 1 } });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe("GET /api/admin/getAllTeams", () => {
+  it("should list a page of teams with its paging in headers", async () => {
+    mockTeams["CC-5678"] = makeTeam("CC-5678", {
+      _id: "65f1c0a1e4b0b2b2b2b2b2b2",
+      "Team Name": "Off By One",
+    });
+    CodersCupAttendance.countDocuments.mockResolvedValueOnce(2);
+
+    const response = await request(app).get("/api/admin/getAllTeams?limit=1");
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0].att_code).toBe("CC-1234");
+    expect(response.headers["x-total-count"]).toBe("2");
+    expect(response.headers["x-next-cursor"]).toEqual(expect.any(String));
+  });
+
+  it("should leave out the next cursor on the last page", async () => {
+    const response = await request(app).get("/api/admin/getAllTeams");
+
+    expect(response.body).toHaveLength(1);
+    expect(response.headers).not.toHaveProperty("x-next-cursor");
+  });
+
+  it("should refuse a cursor with an invalid id", async () => {
+    const cursor = Buffer.from(JSON.stringify(["Beta", "id-CC-1234"])).toString(
+      "base64url"
+    );
+    const response = await request(app).get(
+      `/api/admin/getAllTeams?cursor=${cursor}`
+    );
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe("Invalid cursor");
+    expect(CodersCupAttendance.find).not.toHaveBeenCalled();
+  });
+});
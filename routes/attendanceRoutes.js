@@ -1,187 +1,432 @@
 const express = require('express');
-const CryptoJS = require("crypto-js");
-const { CodersCupAttendance, Event } = require('../models/Models');
-let uuidv4;
-(async () => {
-  const { v4 } = await import("uuid");
-  uuidv4 = v4;
-})();
+const { CodersCupAttendance, Event, AttendanceReview, RetiredAttCode } = require('../models/Models');
+const { getEventVenues, matchVenue } = require('../utils/geofence');
+const { issueChallenge, consumeChallenge } = require('../utils/attendanceChallenge');
+const { verifyVenueToken } = require('../utils/venueQr');
+const { attendanceLimits, unknownTeam } = require('../middleware/attendanceLimits');
+const { ATT_CODE_DEFAULTS } = require('../utils/attCode');
+const {
+    REJECTION_CODES,
+    hashPayload,
+    isFresh,
+    registerPayload,
+    recordRejectedAttempt
+} = require('../utils/replayProtection');
+const { extractLocation, detectSpoofing } = require('../utils/spoofDetection');
+const {
+    MEMBER_SLOTS,
+    isMemberSlot,
+    markTeam,
+    markMember,
+    checkOutTeam,
+    checkOutMember
+} = require('../utils/teamMembers');
+const { recordAttendanceEvent } = require('../utils/attendanceHistory');
+const { mapTeamToPublic } = require('../utils/teamMapper');
+const { findTeamEvent } = require('../utils/teamCompetition');
+const { isRegistrationOpen, registerTeam } = require('../utils/teamRegistration');
+const { EVENT_STATUS, isEventPublished } = require('../utils/eventLifecycle');
+const { areResultsPublic, mapResults, getCertificateAvailability } = require('../utils/competitionResults');
+const {
+    resolveOpenSession,
+    classifyArrival,
+    isMarkedForSession,
+    isCheckedOutForSession,
+    markSessionAttendance,
+    checkOutSessionAttendance
+} = require('../utils/eventSessions');
+
+const logger = require('../utils/logger')('AttendanceRoutes');
 
 const router = express.Router();
 
-function mapTeamToSchema(team) {
-    return {
-        team_info: team["Team Information"] || "",
-        team_name: team["Team Name"] || "",
-        vjudge_username: team["Vjudge username"] || "",
-        competitionName: team.competitionName || "",
-        leader_name: team["Leader Name"] || "",
-        leader_email: team["Leader Email Address"] || "",
-        leader_section: team["Leader Section"] || "",
-        leader_cnic: team["Leader CNIC"] || "",
-        leader_phone: team["Leader Phone Number"] || "",
-
-        member1_name: team["Member 1 Name"] || "",
-        member1_email: team["Member 1 Email Address"] || "",
-        member1_section: team["Member 1 Section"] || "",
-
-        member2_name: team["Member 2 Name"] || "",
-        member2_email: team["Member 2 Email Address"] || "",
-        member2_section: team["Member 2 Section"] || "",
-
-        att_code: team["Att Code"] || "",
-        attendance: team["Attendance Marked"] || false
-    };
+// number of other teams that checked in (or are under review) from these exact coordinates
+async function countTeamsAtLocation(location, team) {
+    const { latitude, longitude } = location;
+    const [marked, underReview] = await Promise.all([
+        CodersCupAttendance.countDocuments({
+            "Attendance Location.latitude": latitude,
+            "Attendance Location.longitude": longitude,
+            _id: { $ne: team._id }
+        }),
+        AttendanceReview.distinct('team', {
+            "location.latitude": latitude,
+            "location.longitude": longitude,
+            team: { $ne: team._id }
+        })
+    ]);
+    return marked + underReview.length;
 }
 
-
-const toRadians = (degrees) => degrees * (Math.PI / 180);
-const calculateDistance = (lat1, lng1, lat2, lng2) => {
-    const R = 6371e3; // Earth's radius in meters
-    const f1 = toRadians(lat1);
-    const f2 = toRadians(lat2);
-    const df = toRadians(lat2 - lat1);
-    const dl = toRadians(lng2 - lng1);
-    const a = Math.sin(df / 2) * Math.sin(df / 2) + Math.cos(f1) * Math.cos(f2) * Math.sin(dl / 2) * Math.sin(dl / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-};
-
 router.get('/', (req, res) => {
     res.json({ 'msg': 'Attendance routes' })
 });
 
 
-// // POST /participant-create
-// router.post("/participant-create", async (req, res) => {
-//   try {
-//     const {
-//       team_info,
-//       team_name,
-//       vjudge_username,
-//       leader_name,
-//       leader_email,
-//       leader_section,
-//       leader_cnic,
-//       leader_phone,
-//       member1_name,
-//       member1_email,
-//       member1_section,
-//       member2_name,
-//       member2_email,
-//       member2_section,
-//     } = req.body;
-
-//     // Generate unique attendance code
-//     const att_code = `CC-${uuidv4().slice(0, 8)}`;
-
-//     const newParticipant = new CodersCupAttendance({
-//       team_info,
-//       team_name,
-//       vjudge_username,
-//       leader_name,
-//       leader_email,
-//       leader_section,
-//       leader_cnic,
-//       leader_phone,
-//       member1_name,
-//       member1_email,
-//       member1_section,
-//       member2_name,
-//       member2_email,
-//       member2_section,
-//       att_code,
-//     });
-
-//     const savedParticipant = await newParticipant.save();
-
-//     res.status(201).json({
-//       msg: "Participant created successfully",
-//       participant: savedParticipant,
-//     });
-//   } catch (error) {
-//     console.error(error);
-//     if (error.code === 11000 && error.keyPattern && error.keyPattern.att_code) {
-//       return res.status(400).json({ msg: "Duplicate attendance code, try again" });
-//     }
-//     res.status(500).json({ msg: "Server error" });
-//   }
-// });
+// att codes are looked up as given, anything but a string (e.g. {"$ne": ""})
+// would be read as a query operator
+const INVALID_ATT_CODE = "att_code must be a string";
 
-// to mark attendance - for general public
-// Attendance marking {location, code}
-router.post('/mark', async (req, res) => {
-    // console.log('Request received',req.body);
-    const { att_code, coordinates } = req.body;
-    // console.log('encryptedCoordinates', encryptedCoordinates);
-    if (!att_code || !coordinates) {
-        // console.log('missing')
-        return res.status(400).json({ message: "Parameters missing (att_code, coordinates)" });
+// answers a code no team has: codes replaced by an admin say so, anything else
+// counts towards the lockout for guessing codes
+async function sendTeamNotFound(req, res, attCode) {
+    if (await RetiredAttCode.exists({ attCode })) {
+        return res.status(410).json({ message: "This team code has been replaced, ask the organisers for your new code" });
     }
-    const secretKey = process.env.COORDS_ENCRYPTION_KEY;
-    let decrypted;
+    unknownTeam.recordFailure(req);
+    return res.status(404).json({ message: "Team not found" });
+}
+
+// format of generated att codes, so clients can catch typos before submitting
+// (check character: Luhn mod N over the alphabet)
+router.get('/code-format', (req, res) => {
+    const { prefix, length, alphabet, checksum } = ATT_CODE_DEFAULTS;
+    res.json({ prefix, length, alphabet, checksum: checksum ? "luhn-mod-n" : null });
+});
+
+// self-registration {competitionName, team_name, leader_name, ...} while the
+// event's registration window is open, admins can add teams at any time
+router.post('/register', attendanceLimits, async (req, res) => {
+    const { competitionName } = req.body;
+    if (!competitionName) {
+        return res.status(400).json({ message: "Parameters missing (competitionName)" });
+    }
+
     try {
-        const bytes = CryptoJS.AES.decrypt(coordinates, secretKey);
-        const decryptedData = bytes.toString(CryptoJS.enc.Utf8);
-        decrypted = JSON.parse(decryptedData);
+        const event = await Event.findOne({ competitionName });
+        if (!event) {
+            return res.status(404).json({ message: "Competition not found" });
+        }
+        if (!isRegistrationOpen(event)) {
+            return res.status(403).json({ message: "Registration is closed for this competition" });
+        }
+
+        const { team, errors, conflict } = await registerTeam(req.body, event);
+        if (errors) {
+            return res.status(conflict ? 409 : 400).json({ message: "Invalid registration", errors });
+        }
+        return res.status(201).json({
+            message: "Team registered",
+            team: { ...mapTeamToPublic(team), competitionName: event.competitionName }
+        });
     } catch (err) {
-        // console.log('failed to decrypt')
-        return res.status(400).json({ message: "Failed to decrypt coordinates" });
-    }
-    const { latitude, longitude } = decrypted;
-    // console.log('decrypted', decrypted);
-
-    // Fast's coordinates
-    const centerLatitude = 24.8568496;
-    const centerLongitude = 67.2644237;
-    const distance = calculateDistance(latitude, longitude, centerLatitude, centerLongitude);
-    if (distance <= 2500) {
-        try {
-            // console.log('checkingg ')
-            const team = await CodersCupAttendance.findOne({ "Att Code": att_code });
-            if (!team) {
-                return res.status(404).json({ message: "Team not found" });
-            }
-
-            // check if the team code is valid
-            const event = await Event.findOne({ competitionName: team["Competition Name"] });
-            if (!event) {
-                return res.status(404).json({ message: "Event not found (invalid team code)" });
-            }
-// console.log('checkingg event')
-            // check if the event is not ongoing
-            const now = new Date(); // UTC
-          const start = new Date(event.start_time);
-const end = new Date(event.end_time);
-if (now < start || now > end) {
-  return res.status(400).json({
-    message: "The competition is not currently ongoing! Attendance cannot be marked.",
-  });
+        return res.status(500).json({ message: err.message });
+    }
+});
+
+// self-service status lookup {att_code}, read only and without personal details
+router.post('/status', attendanceLimits, async (req, res) => {
+    const { att_code } = req.body;
+    if (!att_code) {
+        return res.status(400).json({ message: "Parameters missing (att_code)" });
+    }
+    if (typeof att_code !== 'string') {
+        return res.status(400).json({ message: INVALID_ATT_CODE });
+    }
+
+    try {
+        const team = await CodersCupAttendance.findOne({ "Att Code": att_code });
+        if (!team) {
+            return sendTeamNotFound(req, res, att_code);
+        }
+
+        const [event, pendingReview] = await Promise.all([
+            findTeamEvent(team),
+            AttendanceReview.exists({ team: team._id, status: "pending" })
+        ]);
+        return res.json({
+            team: mapTeamToPublic(team),
+            event: event
+                ? {
+                    competitionName: event.competitionName,
+                    start_time: event.start_time,
+                    end_time: event.end_time,
+                    early_open_minutes: event.early_open_minutes || 0,
+                    late_grace_minutes: event.late_grace_minutes || 0,
+                    sessions: (event.sessions || []).map(({ name, start_time, end_time }) => ({ name, start_time, end_time }))
+                }
+                : null,
+            underReview: Boolean(pendingReview),
+            certificate: getCertificateAvailability(team, event)
+        });
+    } catch (err) {
+        return res.status(500).json({ message: err.message });
+    }
+});
+
+// final standings of a competition, published once it has ended
+router.get('/results/:competitionName', attendanceLimits, async (req, res) => {
+    try {
+        const event = await Event.findOne({ competitionName: req.params.competitionName });
+        // drafts stay hidden, archived events keep their results
+        if (!event || event.status === EVENT_STATUS.DRAFT) {
+            return res.status(404).json({ message: "Event not found" });
+        }
+        if (!areResultsPublic(event)) {
+            return res.status(403).json({ message: "Results are published after the event ends" });
+        }
+
+        const teams = await CodersCupAttendance.find({ _id: { $in: event.results.map((result) => result.team) } });
+        return res.json({
+            competitionName: event.competitionName,
+            results: mapResults(event, teams, (team) => ({
+                team_name: team["Team Name"] || "",
+                members: Object.values(MEMBER_SLOTS).map((slot) => team[slot.name]).filter(Boolean)
+            }))
+        });
+    } catch (err) {
+        return res.status(500).json({ message: err.message });
+    }
+});
+
+// issue a single-use challenge that must accompany the next /mark submission
+router.post('/challenge', attendanceLimits, async (req, res) => {
+    const { att_code } = req.body;
+    if (!att_code) {
+        return res.status(400).json({ message: "Parameters missing (att_code)" });
+    }
+    if (typeof att_code !== 'string') {
+        return res.status(400).json({ message: INVALID_ATT_CODE });
+    }
+
+    try {
+        const team = await CodersCupAttendance.findOne({ "Att Code": att_code });
+        if (!team) {
+            return sendTeamNotFound(req, res, att_code);
+        }
+
+        const { challenge, expiresAt } = await issueChallenge(att_code);
+        return res.json({ challenge, expiresAt });
+    } catch (err) {
+        return res.status(500).json({ message: err.message });
+    }
+});
+
+// Shared checks for location based submissions (/mark and /checkout):
+// payload freshness, replay, challenge, team, open event session and venue
+// geofence. A scanned venue QR code (qr_token) can stand in for coordinates and
+// the challenge, it is checked against the team's event instead of a geofence.
+// Sends the error response itself and resolves to null when a check fails,
+// otherwise resolves to { team, event, session, venue, location, member }
+// (venue and location are null for QR submissions).
+async function verifyLocationSubmission(req, res, action) {
+    const { att_code, coordinates, timestamp, member, qr_token } = req.body;
+    const byQr = !coordinates && typeof qr_token === 'string';
+    if (!att_code || (!byQr && (!coordinates || typeof coordinates !== 'object'))) {
+        // console.log('missing')
+        res.status(400).json({ message: "Parameters missing (att_code, coordinates or qr_token)" });
+        return null;
+    }
+    if (typeof att_code !== 'string') {
+        res.status(400).json({ message: INVALID_ATT_CODE });
+        return null;
+    }
+    if (member !== undefined && !isMemberSlot(member)) {
+        res.status(400).json({ message: "Invalid member (expected leader, member1 or member2)" });
+        return null;
+    }
+    const challenge = byQr ? null : coordinates.challenge;
+    const location = byQr ? null : extractLocation(coordinates);
+    if (!byQr && !challenge) {
+        res.status(400).json({ message: "Challenge missing, request one from /challenge first" });
+        return null;
+    }
+
+    // rejects the request with a machine readable code and keeps a record of it
+    const reject = async (status, code, message, payloadHash) => {
+        await recordRejectedAttempt(req, { code, reason: message, payloadHash });
+        res.status(status).json({ message, code });
+        return null;
+    };
+
+    const payloadHash = hashPayload({ att_code, member, coordinates: byQr ? { qr_token } : coordinates, timestamp });
+    if (!isFresh(timestamp)) {
+        return reject(400, REJECTION_CODES.STALE_PAYLOAD, "Submission is stale, please try again", payloadHash);
+    }
+    if (!(await registerPayload(payloadHash, att_code))) {
+        return reject(409, REJECTION_CODES.REPLAYED_PAYLOAD, "This submission was already received", payloadHash);
+    }
+
+    // the challenge is consumed even if the submission fails below, so each
+    // location submission needs a fresh one
+    if (!byQr) {
+        const verification = await consumeChallenge(challenge, att_code);
+        if (!verification.valid) {
+            return reject(401, REJECTION_CODES.INVALID_CHALLENGE, verification.reason, payloadHash);
+        }
+    }
+
+    // console.log('checkingg ')
+    const team = await CodersCupAttendance.findOne({ "Att Code": att_code });
+    if (!team) {
+        await sendTeamNotFound(req, res, att_code);
+        return null;
+    }
+    if (member && !team[MEMBER_SLOTS[member].name]) {
+        res.status(400).json({ message: `${MEMBER_SLOTS[member].label} is not registered on this team` });
+        return null;
+    }
+
+    // check if the team code is valid
+    const event = await findTeamEvent(team);
+    if (!event) {
+        res.status(404).json({ message: "Event not found (invalid team code)" });
+        return null;
+    }
+    // console.log('checkingg event')
+    // check if the event (or one of its sessions) is ongoing
+    const now = new Date(); // UTC
+    // drafts and archived events never open for check-in
+    const session = isEventPublished(event) ? resolveOpenSession(event, now) : null;
+    if (!session) {
+        res.status(400).json({
+            message: `The competition is not currently ongoing! Attendance cannot be ${action}.`,
+        });
+        return null;
+    }
+
+    // the venue QR code proves presence for the whole event, no geofence needed
+    if (byQr) {
+        const verification = verifyVenueToken(qr_token, event);
+        if (!verification.valid) {
+            return reject(401, REJECTION_CODES.INVALID_QR_TOKEN, verification.reason, payloadHash);
+        }
+        return { team, event, session, venue: null, location: null, member: member || null };
+    }
+
+    // check if the participant is inside one of the session's venues
+    const { matched, venue, distanceOutside } = matchVenue(getEventVenues(event, session), location.latitude, location.longitude);
+    if (!matched) {
+        console.log('out of range')
+        res.status(400).json({
+            message: `Out of allowed range! Attendance cannot be ${action}.`,
+            nearestVenue: venue ? venue.name : null,
+            distanceOutside: Number.isFinite(distanceOutside) ? Math.round(distanceOutside) : null
+        });
+        return null;
+    }
+
+    return { team, event, session, venue, location, member: member || null };
 }
 
+// to mark attendance - for general public
+// Attendance marking {att_code, member?, timestamp, coordinates: {latitude, longitude, accuracy, altitude, speed, timestamp, challenge}}
+// or {att_code, member?, timestamp, qr_token} with the token scanned from the venue QR code
+// member (leader, member1, member2) checks in one person, without it the whole team is marked
+router.post('/mark', attendanceLimits, async (req, res) => {
+    // console.log('Request received',req.body);
+    try {
+        const submission = await verifyLocationSubmission(req, res, "marked");
+        if (!submission) return;
+        const { team, event, session, venue, location, member } = submission;
 
-            // check if the attendance is already marked
-            if (team["Attendance Marked"]) {
-                console.log('already marked');
-                return res.status(409).json({
-                    message: "Attendance is already marked for this team",
-                    attendanceAlreadyMarked: true,
-                    team: mapTeamToSchema(team)
-                });
-            }
-            // console.log('not marked would save here')
-            team["Attendance Marked"] = true;
-            await team.save();
-            
-            return res.json({ message: "Attendance marked successfully", 
-                team: mapTeamToSchema(team)
+        // check if the attendance is already marked (for this session)
+        if (isMarkedForSession(team, session, member)) {
+            console.log('already marked');
+            return res.status(409).json({
+                message: member
+                    ? `Attendance is already marked for ${team[MEMBER_SLOTS[member].name]}`
+                    : "Attendance is already marked for this team",
+                attendanceAlreadyMarked: true,
+                team: mapTeamToPublic(team)
             });
-        } catch (err) {
-            return res.status(500).json({ message: err.message });
         }
-    } else {
-        console.log('out of range')
-        return res.status(400).json({ message: "Out of allowed range! Attendance cannot be marked." });
+
+        // a person only gets one check-in waiting for review at a time
+        const pendingReview = await AttendanceReview.exists({ team: team._id, member, session: session._id, status: "pending" });
+        if (pendingReview) {
+            return res.status(409).json({
+                message: "Attendance for this team is awaiting review by the organisers",
+                underReview: true
+            });
+        }
+
+        // hold back check-ins that look like they come from a mock-location app
+        const flags = location
+            ? detectSpoofing(location, { identicalCount: await countTeamsAtLocation(location, team) })
+            : [];
+        if (flags.length > 0) {
+            await AttendanceReview.create({
+                team: team._id,
+                attCode: team["Att Code"],
+                member,
+                session: session._id,
+                sessionName: session._id ? session.name : "",
+                location,
+                flags,
+                ip: req.ip || "",
+                userAgent: req.get('user-agent') || ""
+            });
+            logger.warn(`Check-in for ${logger.val(team["Att Code"])} held for review: ${flags.join(", ")}`);
+            return res.status(202).json({
+                message: "Attendance submitted for review by the organisers",
+                underReview: true
+            });
+        }
+
+        // console.log('not marked would save here')
+        const markedAt = new Date();
+        const arrivalStatus = classifyArrival(session, markedAt, event.late_after_minutes);
+        if (member) {
+            markMember(team, member, markedAt, arrivalStatus);
+        } else {
+            markTeam(team, markedAt, arrivalStatus);
+        }
+        markSessionAttendance(team, session, member, markedAt, arrivalStatus);
+        if (location) {
+            team["Attendance Location"] = location;
+        }
+        await team.save();
+        await recordAttendanceEvent(req, team, { action: "mark", source: "self", member, session, location });
+
+        return res.json({ message: "Attendance marked successfully", 
+            session: session.name,
+            arrivalStatus,
+            venue: venue ? venue.name : null,
+            team: mapTeamToPublic(team)
+        });
+    } catch (err) {
+        return res.status(500).json({ message: err.message });
+    }
+});
+
+// to check out when leaving the venue, same payload as /mark
+router.post('/checkout', attendanceLimits, async (req, res) => {
+    try {
+        const submission = await verifyLocationSubmission(req, res, "checked out");
+        if (!submission) return;
+        const { team, session, venue, location, member } = submission;
+
+        if (!isMarkedForSession(team, session, member)) {
+            return res.status(400).json({ message: "Attendance has not been marked yet, cannot check out" });
+        }
+        if (isCheckedOutForSession(team, session, member)) {
+            return res.status(409).json({
+                message: member
+                    ? `${team[MEMBER_SLOTS[member].name]} has already checked out`
+                    : "This team has already checked out",
+                alreadyCheckedOut: true,
+                team: mapTeamToPublic(team)
+            });
+        }
+
+        const checkedOutAt = new Date();
+        if (member) {
+            checkOutMember(team, member, checkedOutAt);
+        } else {
+            checkOutTeam(team, checkedOutAt);
+        }
+        checkOutSessionAttendance(team, session, member, checkedOutAt);
+        await team.save();
+        await recordAttendanceEvent(req, team, { action: "checkout", source: "self", member, session, location });
+
+        return res.json({ message: "Checked out successfully",
+            session: session.name,
+            venue: venue ? venue.name : null,
+            team: mapTeamToPublic(team)
+        });
+    } catch (err) {
+        return res.status(500).json({ message: err.message });
     }
 });
 
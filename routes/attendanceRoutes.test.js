@@ -0,0 +1,564 @@
+const request = require("supertest");
+const express = require("express");
+
+// Venue used by the mocked event, FAST Karachi campus
+const CAMPUS = { latitude: 24.8568496, longitude: 67.2644237 };
+
+let mockTeams;
+const mockEvent = {
+  _id: "event-speed",
+  competitionName: "Speed Programming",
+  start_time: new Date(Date.now() - 60 * 60 * 1000),
+  end_time: new Date(Date.now() + 60 * 60 * 1000),
+  geofence: { ...CAMPUS, radius: 500 },
+  venues: [],
+  sessions: [],
+  min_team_size: 1,
+  max_team_size: 3,
+  registration_opens_at: new Date(Date.now() - 24 * 60 * 60 * 1000),
+  registration_closes_at: new Date(Date.now() + 24 * 60 * 60 * 1000),
+};
+
+function makeTeam(attCode) {
+  return {
+    _id: `id-${attCode}`,
+    "Team Name": "Segfault Survivors",
+    "Leader Name": "Ayesha Khan",
+    "Leader Email Address": "ayesha@example.com",
+    "Member 1 Name": "Bilal Ahmed",
+    "Member 2 Name": "",
+    "Leader CNIC": "42101-1234567-1",
+    "Leader Phone Number": "0300-1234567",
+    competition: "event-speed",
+    "Att Code": attCode,
+    "Attendance Marked": false,
+    save: jest.fn().mockResolvedValue(),
+  };
+}
+
+jest.mock("../models/Models", () => ({
+  CodersCupAttendance: {
+    findOne: jest.fn((filter) =>
+      Promise.resolve(mockTeams[filter["Att Code"]] || null)
+    ),
+    countDocuments: jest.fn().mockResolvedValue(0),
+    exists: jest.fn().mockResolvedValue(null),
+    find: jest.fn(() => Promise.resolve(Object.values(mockTeams))),
+    create: jest.fn((fields) => Promise.resolve({ _id: "id-new", ...fields })),
+  },
+  Event: {
+    findOne: jest.fn(({ competitionName }) =>
+      Promise.resolve(
+        competitionName === mockEvent.competitionName ? mockEvent : null
+      )
+    ),
+    findById: jest.fn((id) =>
+      Promise.resolve(id === mockEvent._id ? mockEvent : null)
+    ),
+  },
+  AttendanceReview: {
+    exists: jest.fn().mockResolvedValue(null),
+    distinct: jest.fn().mockResolvedValue([]),
+    create: jest.fn().mockResolvedValue({}),
+  },
+  AttendanceHistory: { create: jest.fn().mockResolvedValue({}) },
+  AttendancePayload: { create: jest.fn().mockResolvedValue({}) },
+  RejectedAttempt: { create: jest.fn().mockResolvedValue({}) },
+  RetiredAttCode: {
+    exists: jest.fn(({ attCode }) =>
+      Promise.resolve(attCode === "CC-OLD1" ? { _id: "retired" } : null)
+    ),
+  },
+}));
+
+jest.mock("../utils/attendanceChallenge", () => ({
+  issueChallenge: jest.fn().mockResolvedValue({
+    challenge: "nonce.0.sig",
+    expiresAt: new Date(),
+  }),
+  consumeChallenge: jest.fn((challenge) =>
+    Promise.resolve(
+      challenge === "valid"
+        ? { valid: true }
+        : { valid: false, reason: "Invalid challenge signature" }
+    )
+  ),
+}));
+
+const {
+  CodersCupAttendance,
+  AttendanceReview,
+  AttendanceHistory,
+  RejectedAttempt,
+} = require("../models/Models");
+const { issueVenueToken } = require("../utils/venueQr");
+const { resetAttendanceLimits } = require("../middleware/attendanceLimits");
+const attendanceRoutes = require("./attendanceRoutes");
+
+const app = express();
+app.use(express.json());
+app.use("/api/attendance", attendanceRoutes);
+
+function payload(overrides = {}, coordinates = {}) {
+  return {
+    att_code: "CC-1234",
+    timestamp: Date.now(),
+    coordinates: {
+      ...CAMPUS,
+      accuracy: 12,
+      timestamp: Date.now(),
+      challenge: "valid",
+      ...coordinates,
+    },
+    ...overrides,
+  };
+}
+
+beforeAll(() => {
+  process.env.VENUE_QR_SECRET = "test-secret";
+});
+
+beforeEach(() => {
+  mockTeams = { "CC-1234": makeTeam("CC-1234") };
+  jest.clearAllMocks();
+  resetAttendanceLimits();
+});
+
+describe("POST /api/attendance/mark", () => {
+  it("should mark attendance inside the venue", async () => {
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload());
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe("Attendance marked successfully");
+    expect(response.body.venue).toBe("Speed Programming");
+    expect(response.body.team.attendance).toBe(true);
+    expect(response.body.team).not.toHaveProperty("leader_cnic");
+    // the event started an hour ago
+    expect(response.body.arrivalStatus).toBe("late");
+    expect(AttendanceHistory.create).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "mark", source: "self" })
+    );
+  });
+
+  it("should check in a single member", async () => {
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload({ member: "member1" }));
+
+    expect(response.status).toBe(200);
+    expect(response.body.team.member1_attendance.marked).toBe(true);
+    expect(response.body.team.leader_attendance.marked).toBe(false);
+    expect(response.body.team.presence).toBe("partial");
+  });
+
+  it("should store attendance against the open session", async () => {
+    mockEvent.sessions = [
+      {
+        _id: "session-final",
+        name: "Final",
+        start_time: mockEvent.start_time,
+        end_time: mockEvent.end_time,
+        venues: [],
+      },
+    ];
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload());
+    mockEvent.sessions = [];
+
+    expect(response.status).toBe(200);
+    expect(response.body.session).toBe("Final");
+    expect(response.body.team.session_attendance).toEqual([
+      expect.objectContaining({
+        session: "session-final",
+        sessionName: "Final",
+        member: null,
+      }),
+    ]);
+  });
+
+  it("should record check-ins soon after the start as on time", async () => {
+    const { start_time } = mockEvent;
+    mockEvent.start_time = new Date(Date.now() - 5 * 60 * 1000);
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload());
+    mockEvent.start_time = start_time;
+
+    expect(response.status).toBe(200);
+    expect(response.body.arrivalStatus).toBe("on-time");
+  });
+
+  it("should accept late check-ins within the grace period", async () => {
+    const { start_time, end_time } = mockEvent;
+    mockEvent.start_time = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    mockEvent.end_time = new Date(Date.now() - 10 * 60 * 1000);
+    const closed = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload({ member: "leader" }));
+    mockEvent.late_grace_minutes = 15;
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload({ member: "leader" }));
+    Object.assign(mockEvent, { start_time, end_time, late_grace_minutes: 0 });
+
+    expect(closed.status).toBe(400);
+    expect(response.status).toBe(200);
+    expect(response.body.arrivalStatus).toBe("late");
+    expect(response.body.team.arrival_status).toBe("late");
+    expect(response.body.team.leader_attendance.arrivalStatus).toBe("late");
+  });
+
+  it("should report the nearest venue when out of range", async () => {
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload({}, { latitude: 24.9, longitude: 67.2644237 }));
+
+    expect(response.status).toBe(400);
+    expect(response.body.nearestVenue).toBe("Speed Programming");
+    expect(response.body.distanceOutside).toBeGreaterThan(4000);
+  });
+
+  it("should reject stale payloads with a code", async () => {
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload({ timestamp: Date.now() - 10 * 60 * 1000 }));
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe("STALE_PAYLOAD");
+    expect(RejectedAttempt.create).toHaveBeenCalled();
+  });
+
+  it("should reject invalid challenges", async () => {
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload({}, { challenge: "forged" }));
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe("INVALID_CHALLENGE");
+  });
+
+  it("should send suspicious readings to review", async () => {
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload({}, { accuracy: 0 }));
+
+    expect(response.status).toBe(202);
+    expect(response.body.underReview).toBe(true);
+    expect(AttendanceReview.create).toHaveBeenCalledWith(
+      expect.objectContaining({ flags: ["ZERO_ACCURACY"] })
+    );
+    expect(mockTeams["CC-1234"]["Attendance Marked"]).toBe(false);
+  });
+
+  it("should accept a scanned venue QR code instead of coordinates", async () => {
+    const { token } = issueVenueToken(mockEvent);
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send({ att_code: "CC-1234", timestamp: Date.now(), qr_token: token });
+
+    expect(response.status).toBe(200);
+    expect(response.body.venue).toBeNull();
+    expect(response.body.team.attendance).toBe(true);
+    expect(AttendanceReview.create).not.toHaveBeenCalled();
+  });
+
+  it("should reject QR codes for another event", async () => {
+    const { token } = issueVenueToken({ ...mockEvent, _id: "event-sql" });
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send({ att_code: "CC-1234", timestamp: Date.now(), qr_token: token });
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe("INVALID_QR_TOKEN");
+    expect(mockTeams["CC-1234"]["Attendance Marked"]).toBe(false);
+  });
+
+  it("should return 404 for unknown teams", async () => {
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload({ att_code: "CC-0000" }));
+
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe("Team not found");
+  });
+});
+
+describe("POST /api/attendance/challenge", () => {
+  it("should tell teams when their code was replaced", async () => {
+    const response = await request(app)
+      .post("/api/attendance/challenge")
+      .send({ att_code: "CC-OLD1" });
+
+    expect(response.status).toBe(410);
+  });
+});
+
+describe("POST /api/attendance/status", () => {
+  it("should report attendance without personal details", async () => {
+    const response = await request(app)
+      .post("/api/attendance/status")
+      .send({ att_code: "CC-1234" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.team.team_name).toBe("Segfault Survivors");
+    expect(response.body.team.attendance).toBe(false);
+    expect(response.body.team).not.toHaveProperty("leader_cnic");
+    expect(response.body.team).not.toHaveProperty("leader_phone");
+    expect(response.body.team).not.toHaveProperty("leader_email");
+    expect(response.body.event.competitionName).toBe("Speed Programming");
+    expect(response.body.certificate).toEqual({
+      available: false,
+      reason: "Certificates are only available after the event has ended",
+      award: null,
+    });
+  });
+
+  it("should return 404 for unknown teams", async () => {
+    const response = await request(app)
+      .post("/api/attendance/status")
+      .send({ att_code: "CC-0000" });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe("GET /api/attendance/results/:competitionName", () => {
+  const { start_time, end_time } = mockEvent;
+
+  beforeEach(() => {
+    mockTeams["CC-5678"] = {
+      ...makeTeam("CC-5678"),
+      "Team Name": "Off By One",
+      "Member 1 Name": "",
+    };
+    mockEvent.results = [
+      { team: "id-CC-5678", position: 2 },
+      { team: "id-CC-1234", position: 1 },
+    ];
+  });
+
+  afterEach(() => {
+    Object.assign(mockEvent, { start_time, end_time, results: [] });
+    delete mockEvent.status;
+  });
+
+  it("should list the standings once the event has ended", async () => {
+    mockEvent.start_time = new Date(Date.now() - 3 * 60 * 60 * 1000);
+    mockEvent.end_time = new Date(Date.now() - 60 * 60 * 1000);
+
+    const response = await request(app).get(
+      "/api/attendance/results/Speed Programming"
+    );
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      competitionName: "Speed Programming",
+      results: [
+        {
+          position: 1,
+          tied: false,
+          award: "1st Place",
+          team_name: "Segfault Survivors",
+          members: ["Ayesha Khan", "Bilal Ahmed"],
+        },
+        {
+          position: 2,
+          tied: false,
+          award: "2nd Place",
+          team_name: "Off By One",
+          members: ["Ayesha Khan"],
+        },
+      ],
+    });
+  });
+
+  it("should keep results private until the event ends", async () => {
+    const response = await request(app).get(
+      "/api/attendance/results/Speed Programming"
+    );
+
+    expect(response.status).toBe(403);
+    expect(CodersCupAttendance.find).not.toHaveBeenCalled();
+  });
+
+  it("should hide draft and unknown events", async () => {
+    mockEvent.status = "draft";
+    const draft = await request(app).get(
+      "/api/attendance/results/Speed Programming"
+    );
+    const unknown = await request(app).get("/api/attendance/results/Unknown");
+
+    expect(draft.status).toBe(404);
+    expect(unknown.status).toBe(404);
+  });
+});
+
+describe("POST /api/attendance/register", () => {
+  const registration = {
+    competitionName: "Speed Programming",
+    team_name: "Off By One",
+    leader_name: "Hamza Ali",
+    leader_email: "Hamza@Example.com",
+    leader_cnic: "4210198765432",
+    leader_phone: "0321-7654321",
+    member1_name: "Sana Iqbal",
+    member1_email: "sana@example.com",
+  };
+
+  it("should register a team with a generated att code", async () => {
+    const response = await request(app)
+      .post("/api/attendance/register")
+      .send(registration);
+
+    expect(response.status).toBe(201);
+    expect(response.body.team.team_name).toBe("Off By One");
+    expect(response.body.team.att_code).toMatch(/^CC-/);
+    expect(response.body.team).not.toHaveProperty("leader_email");
+    expect(CodersCupAttendance.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        competition: "event-speed",
+        "Leader Email Address": "hamza@example.com",
+        "Leader CNIC": "42101-9876543-2",
+      })
+    );
+  });
+
+  it("should reject invalid fields", async () => {
+    const response = await request(app)
+      .post("/api/attendance/register")
+      .send({ ...registration, leader_email: "hamza", leader_phone: "12345" });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toHaveLength(2);
+    expect(CodersCupAttendance.create).not.toHaveBeenCalled();
+  });
+
+  it("should reject members already on another team", async () => {
+    const response = await request(app)
+      .post("/api/attendance/register")
+      .send({ ...registration, member1_email: "ayesha@example.com" });
+
+    expect(response.status).toBe(409);
+    expect(response.body.errors[0]).toContain("Segfault Survivors");
+  });
+
+  it("should refuse registrations outside the window", async () => {
+    const closesAt = mockEvent.registration_closes_at;
+    mockEvent.registration_closes_at = new Date(Date.now() - 60 * 1000);
+    try {
+      const response = await request(app)
+        .post("/api/attendance/register")
+        .send(registration);
+
+      expect(response.status).toBe(403);
+    } finally {
+      mockEvent.registration_closes_at = closesAt;
+    }
+  });
+
+  it("should refuse registrations for draft events", async () => {
+    mockEvent.status = "draft";
+    try {
+      const response = await request(app)
+        .post("/api/attendance/register")
+        .send(registration);
+
+      expect(response.status).toBe(403);
+    } finally {
+      delete mockEvent.status;
+    }
+  });
+});
+
+describe("att code validation", () => {
+  it.each(["/status", "/challenge", "/mark", "/checkout"])(
+    "should refuse query operators as the att code on %s",
+    async (path) => {
+      const response = await request(app)
+        .post(`/api/attendance${path}`)
+        .send(payload({ att_code: { $ne: "" } }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("att_code must be a string");
+      expect(response.body).not.toHaveProperty("team");
+      expect(CodersCupAttendance.findOne).not.toHaveBeenCalled();
+    }
+  );
+});
+
+describe("rate limiting", () => {
+  it("should limit attempts per att code", async () => {
+    for (let i = 0; i < 20; i++) {
+      await request(app)
+        .post("/api/attendance/challenge")
+        .send({ att_code: "CC-1234" });
+    }
+    const response = await request(app)
+      .post("/api/attendance/challenge")
+      .send({ att_code: "CC-1234" });
+
+    expect(response.status).toBe(429);
+  });
+
+  it("should lock out clients guessing att codes", async () => {
+    for (let i = 0; i < 30; i++) {
+      await request(app)
+        .post("/api/attendance/challenge")
+        .send({ att_code: `CC-12X${i}` })
+        .expect(404);
+    }
+    const response = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload());
+
+    expect(response.status).toBe(429);
+    expect(response.body.message).toBe(
+      "Too many unknown team codes, please try again later"
+    );
+  });
+
+  it("should not lock out a shared address over a few typos", async () => {
+    mockTeams["CC-5678"] = makeTeam("CC-5678");
+    for (let i = 0; i < 10; i++) {
+      await request(app)
+        .post("/api/attendance/status")
+        .send({ att_code: `cc-123${i}x` })
+        .expect(404);
+    }
+
+    const otherTeam = await request(app)
+      .post("/api/attendance/mark")
+      .send(payload({ att_code: "CC-5678" }));
+
+    expect(otherTeam.status).toBe(200);
+    expect(otherTeam.body.team.attendance).toBe(true);
+  });
+});
+
+describe("POST /api/attendance/checkout", () => {
+  it("should refuse to check out before checking in", async () => {
+    const response = await request(app)
+      .post("/api/attendance/checkout")
+      .send(payload());
+
+    expect(response.status).toBe(400);
+  });
+
+  it("should record the check-out time", async () => {
+    await request(app).post("/api/attendance/mark").send(payload());
+    const response = await request(app)
+      .post("/api/attendance/checkout")
+      .send(payload());
+
+    expect(response.status).toBe(200);
+    expect(response.body.team.checked_out_at).not.toBeNull();
+
+    const again = await request(app)
+      .post("/api/attendance/checkout")
+      .send(payload());
+    expect(again.status).toBe(409);
+  });
+});
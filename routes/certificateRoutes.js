@@ -2,11 +2,15 @@ const fs = require("fs");
 const path = require("path");
 const express = require("express");
 const crypto = require("crypto");
-const { CodersCupAttendance, Event } = require("../models/Models");
+const { CodersCupAttendance } = require("../models/Models");
+const { MEMBER_SLOTS } = require("../utils/teamMembers");
+const { findTeamEvent } = require("../utils/teamCompetition");
+const { getTeamResult } = require("../utils/competitionResults");
 const {
   generateTeamCertificateBuffers,
   generateCertificateBuffer,
 } = require("../utils/certificateGenerator");
+const { createRateLimiter } = require("../middleware/rateLimiter");
 const logger = require("../utils/logger")("CertRoutes");
 
 const router = express.Router();
@@ -251,38 +255,13 @@ function generateSecureToken() {
 }
 
 // Rate limiting configuration
-const requestCounts = new Map(); // IP -> count
 const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
 const RATE_LIMIT_MAX = 20; // Maximum requests per window
-
-// Rate limiting middleware
-function rateLimiter(req, res, next) {
-  const ip = req.ip;
-  const now = Date.now();
-
-  // Clean up expired entries
-  if (!requestCounts.has(ip)) {
-    requestCounts.set(ip, { count: 0, resetAt: now + RATE_LIMIT_WINDOW });
-  } else if (requestCounts.get(ip).resetAt < now) {
-    // Reset counter if window expired
-    requestCounts.set(ip, { count: 0, resetAt: now + RATE_LIMIT_WINDOW });
-  }
-
-  // Check and increment counter
-  const record = requestCounts.get(ip);
-  if (record.count >= RATE_LIMIT_MAX) {
-    logger.warn(`Rate limit exceeded for IP: ${ip}`);
-    return res.status(429).json({
-      message: "Too many requests, please try again later",
-      retryAfter: Math.ceil((record.resetAt - now) / 1000),
-    });
-  }
-
-  // Increment counter and proceed
-  record.count++;
-  requestCounts.set(ip, record);
-  next();
-}
+const rateLimiter = createRateLimiter({
+  name: "certificates",
+  windowMs: RATE_LIMIT_WINDOW,
+  max: RATE_LIMIT_MAX,
+});
 
 // Apply rate limiting to certificate routes
 router.post("/", rateLimiter, async (req, res) => {
@@ -332,34 +311,42 @@ router.post("/", rateLimiter, async (req, res) => {
       metrics.failedRequests++;
       return res.status(400).json({ message: "Attendance code is required" });
     }
+    // anything but a string (e.g. {"$ne": ""}) would be read as a query operator
+    if (typeof att_code !== "string") {
+      logger.error("Attendance code is not a string");
+      metrics.failedRequests++;
+      return res
+        .status(400)
+        .json({ message: "Attendance code must be a string" });
+    }
 
     logger.info(
       `Certificate request received, attendance code: ${logger.val(att_code)}`
     );
-    const team = await CodersCupAttendance.findOne({ att_code: att_code });
+    const team = await CodersCupAttendance.findOne({ "Att Code": att_code });
     if (!team) {
       logger.error(`Team not found with code ${logger.val(att_code)}`);
       metrics.failedRequests++;
       return res.status(404).json({ message: "Team not found" });
     }
 
-    // // verify attendance status
-    // if (!team.attendance) {
-    //   logger.warn(
-    //     `Request denied: ${logger.val(
-    //       team.Team_Name
-    //     )} - attendance wasn't marked`
-    //   );
-    //   metrics.failedRequests++;
-    //   return res.status(400).json({
-    //     message: "Certificate unavailable: Attendance was not marked",
-    //   });
-    // }
+    // verify attendance status
+    if (!team["Attendance Marked"]) {
+      logger.warn(
+        `Request denied: ${logger.val(
+          team["Team Name"]
+        )} - attendance wasn't marked`
+      );
+      metrics.failedRequests++;
+      return res.status(400).json({
+        message: "Certificate unavailable: Attendance was not marked",
+      });
+    }
 
     // retrieve event details
-    const event = await Event.findOne({ competitionName: team.Competition });
+    const event = await findTeamEvent(team);
     if (!event) {
-      logger.error(`Competition ${logger.val(team.Competition)} not found`);
+      logger.error(`Competition of ${logger.val(att_code)} not found`);
       metrics.failedRequests++;
       return res.status(404).json({ message: "Event not found" });
     }
@@ -368,7 +355,7 @@ router.post("/", rateLimiter, async (req, res) => {
     const now = new Date();
     if (now <= event.end_time) {
       logger.warn(
-        `Request denied: ${logger.val(team.Competition)} hasn't ended yet`
+        `Request denied: ${logger.val(event.competitionName)} hasn't ended yet`
       );
       metrics.failedRequests++;
       return res.status(400).json({
@@ -377,27 +364,29 @@ router.post("/", rateLimiter, async (req, res) => {
     }
 
     // collect team member names
-    const members = [team.Leader_name];
-    if (team.mem1_name) members.push(team.mem1_name);
-    if (team.mem2_name) members.push(team.mem2_name);
-    if (team.mem3_name) members.push(team.mem3_name);
-    if (team.mem4_name) members.push(team.mem4_name);
+    const members = Object.values(MEMBER_SLOTS)
+      .map((slot) => team[slot.name])
+      .filter(Boolean);
 
     logger.info(
       `Requesting ${logger.val(members.length)} certificates for ${logger.val(
-        team.Team_Name
+        team["Team Name"]
       )}`
     );
 
+    // ranked teams get their place on the certificate
+    const result = getTeamResult(team, event);
+
     // generate certificates in memory
     const certificates = await generateTeamCertificateBuffers(
       members,
-      team.Competition,
-      team.Team_Name
+      event.competitionName,
+      team["Team Name"],
+      result ? result.award : ""
     );
 
     logger.success(
-      `${logger.val(team.Team_Name)}: ${logger.val(
+      `${logger.val(team["Team Name"])}: ${logger.val(
         certificates.length
       )} certificates ready`
     );
@@ -439,11 +428,12 @@ router.post("/", rateLimiter, async (req, res) => {
 
     // prepare certificate data for response
     const certificateData = {
-      teamName: team.Team_Name,
-      consumerNumber: team.consumerNumber,
+      teamName: team["Team Name"],
       members: members,
-      competition: team.Competition,
+      competition: event.competitionName,
       eventDate: event.start_time,
+      position: result ? result.position : null,
+      award: result ? result.award : null,
     };
 
     // Update metrics
@@ -4,64 +4,73 @@ const express = require("express");
 // Mock the models
 jest.mock("../models/Models", () => ({
   CodersCupAttendance: {
-    findOne: jest.fn().mockImplementation(({ att_code }) => {
-      if (att_code === "AUTOMATION25") {
+    findOne: jest.fn().mockImplementation((filter) => {
+      const attCode = filter["Att Code"];
+      if (attCode === "AUTOMATION25") {
         return Promise.resolve({
-          consumerNumber: "CN-002",
-          Team_Name: "Team Automation",
-          Leader_name: "Asfand Khanzada",
-          Leader_email: "asfand.khanzada@example.com",
-          leader_section: "leader_section",
-          leader_cnic: "leader_cnic",
-          leader_phone: "leader_phone",
-          member1_name: "Raahim Irfan",
-          member1_email: "raahim.irfan@example.com",
-          member1_section: "member1_section",
-          member2_name: "Abdullah Azhar Khan",
-          member2_email: "abdullah.azhar.khan@example.com",
-          member2_section: "member2_section",
-          att_code: "AUTOMATION25",
+          "Team Name": "Team Automation",
+          "Leader Name": "Asfand Khanzada",
+          "Leader Email Address": "asfand.khanzada@example.com",
+          "Leader Section": "leader_section",
+          "Leader CNIC": "leader_cnic",
+          "Leader Phone Number": "leader_phone",
+          "Member 1 Name": "Raahim Irfan",
+          "Member 1 Email Address": "raahim.irfan@example.com",
+          "Member 1 Section": "member1_section",
+          "Member 2 Name": "Abdullah Azhar Khan",
+          "Member 2 Email Address": "abdullah.azhar.khan@example.com",
+          "Member 2 Section": "member2_section",
+          "Att Code": "AUTOMATION25",
+          "Attendance Marked": true,
+          competition: "event-sql-saga",
+          _id: "team-automation",
         });
-      } else if (att_code === "invalid_att_code") {
+      } else if (attCode === "WINNER25") {
         return Promise.resolve({
-          attendance: false,
+          _id: "team-winner",
+          "Team Name": "Team Winner",
+          "Leader Name": "Winning Leader",
+          "Att Code": "WINNER25",
+          "Attendance Marked": true,
+          competition: "event-sql-saga",
         });
-      } else if (att_code === "event_not_concluded") {
+      } else if (attCode === "invalid_att_code") {
         return Promise.resolve({
-          attendance: true,
-          Competition: "Future SQL Saga",
-          Team_Name: "Team Future",
-          Leader_name: "Future Leader",
-          leader_email: "future_leader@example.com",
-          leader_section: "future_section",
-          leader_cnic: "future_cnic",
-          leader_phone: "future_phone",
-          member1_name: "Future Member 1",
-          member1_email: "future_member1@example.com",
-          member1_section: "future_section",
-          member2_name: "Future Member 2",
-          member2_email: "future_member2@example.com",
-          member2_section: "future_section",
-          att_code: "FUTURE25",
+          "Attendance Marked": false,
+          competition: "event-sql-saga",
+        });
+      } else if (attCode === "event_not_concluded") {
+        return Promise.resolve({
+          "Attendance Marked": true,
+          competition: "event-future-sql-saga",
+          "Team Name": "Team Future",
+          "Leader Name": "Future Leader",
+          "Leader Email Address": "future_leader@example.com",
+          "Member 1 Name": "Future Member 1",
+          "Member 2 Name": "Future Member 2",
+          "Att Code": "FUTURE25",
         });
       }
       return Promise.resolve(null);
     }),
   },
   Event: {
-    findOne: jest.fn().mockImplementation(({ competitionName }) => {
-      if (competitionName === "SQL Saga") {
+    findById: jest.fn().mockImplementation((id) => {
+      if (id === "event-sql-saga") {
         return Promise.resolve({
+          _id: "event-sql-saga",
           competitionName: "SQL Saga",
           start_time: new Date("2023-04-17T05:00:00.000+00:00"),
           end_time: new Date("2023-04-17T07:00:00.000+00:00"),
           updatedAt: new Date("2023-03-25T12:32:56.604+00:00"),
+          results: [{ team: "team-winner", position: 1 }],
         });
-      } else if (competitionName === "Future SQL Saga") {
+      } else if (id === "event-future-sql-saga") {
         // Keep this one in the future
         const futureDate = new Date();
         futureDate.setFullYear(futureDate.getFullYear() + 1);
         return Promise.resolve({
+          _id: "event-future-sql-saga",
           competitionName: "Future SQL Saga",
           start_time: new Date("2025-04-17T05:00:00.000+00:00"),
           end_time: futureDate,
@@ -115,21 +124,17 @@ describe("POST /api/certificates", () => {
 
     expect(response.body.certificateData).toMatchObject({
       teamName: "Team Automation",
-      consumerNumber: "CN-002",
-      members: [
-        "Asfand Khanzada",
-        "Raahim Irfan",
-        "Abdullah Azhar Khan",
-        "Sarim Ahmed",
-        "Kirish Kumar",
-      ],
+      members: ["Asfand Khanzada", "Raahim Irfan", "Abdullah Azhar Khan"],
       competition: "SQL Saga",
       eventDate: new Date("2023-04-17T05:00:00.000+00:00").toISOString(),
+      position: null,
+      award: null,
     });
+    expect(response.body.certificateData).not.toHaveProperty("attCode");
 
     // Verify download tokens format
     expect(Array.isArray(response.body.downloadTokens)).toBe(true);
-    expect(response.body.downloadTokens.length).toBe(5);
+    expect(response.body.downloadTokens.length).toBe(3);
 
     response.body.downloadTokens.forEach((token, index) => {
       expect(token).toHaveProperty("memberName");
@@ -141,12 +146,44 @@ describe("POST /api/certificates", () => {
     });
   });
 
+  it("should put the team's place on winners' certificates", async () => {
+    const { generateTeamCertificateBuffers } = require("../utils/certificateGenerator");
+    const response = await request(app)
+      .post("/api/certificates")
+      .send({ att_code: "WINNER25" });
+
+    expect(response.status).toBe(200);
+    expect(response.body.certificateData).toMatchObject({
+      position: 1,
+      award: "1st Place",
+    });
+    expect(generateTeamCertificateBuffers).toHaveBeenLastCalledWith(
+      ["Winning Leader"],
+      "SQL Saga",
+      "Team Winner",
+      "1st Place"
+    );
+  });
+
   it("should return 400 if attendance code is missing", async () => {
     const response = await request(app).post("/api/certificates").send({});
     expect(response.status).toBe(400);
     expect(response.body.message).toBe("Attendance code is required");
   });
 
+  it("should return 400 if attendance code is not a string", async () => {
+    const { CodersCupAttendance } = require("../models/Models");
+    CodersCupAttendance.findOne.mockClear();
+    const response = await request(app)
+      .post("/api/certificates")
+      .send({ att_code: { $ne: "" } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe("Attendance code must be a string");
+    expect(response.body).not.toHaveProperty("downloadTokens");
+    expect(CodersCupAttendance.findOne).not.toHaveBeenCalled();
+  });
+
   it("should return 400 if attendance was not marked", async () => {
     const response = await request(app)
       .post("/api/certificates")
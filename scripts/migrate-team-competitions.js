@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * Back-fill the competition reference on teams from the legacy string fields
+ * ("Competition Name", "competitionName" or "Competition" on older imports).
+ * The legacy fields are kept unless --drop-legacy is given.
+ * Safe to run more than once, teams that already have a competition are left alone.
+ *
+ * Run with: node scripts/migrate-team-competitions.js [--dry-run] [--default "<competition name>"] [--drop-legacy]
+ *   --dry-run      report what would change without writing anything
+ *   --default      competition for teams that have no legacy competition field at all
+ *   --drop-legacy  remove the legacy fields, from teams linked before too
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { CodersCupAttendance, Event } = require("../models/Models");
+const logger = require("../utils/logger")("MigrateCompetitions");
+
+const LEGACY_FIELDS = ["Competition Name", "competitionName", "Competition"];
+
+function parseArgs(argv) {
+  const args = { dryRun: false, defaultName: null, dropLegacy: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") args.dryRun = true;
+    else if (argv[i] === "--drop-legacy") args.dropLegacy = true;
+    else if (argv[i] === "--default") args.defaultName = argv[++i] || null;
+  }
+  return args;
+}
+
+// names typed into forms vary in case and spacing
+const normalizeName = (name) =>
+  String(name).trim().replace(/\s+/g, " ").toLowerCase();
+
+// first legacy competition field set on a raw team document
+function getLegacyCompetitionName(team) {
+  return LEGACY_FIELDS.map((field) => team[field]).find(
+    (value) => typeof value === "string" && value.trim()
+  );
+}
+
+async function migrate({ dryRun, defaultName, dropLegacy = false }) {
+  const events = await Event.find({}, { competitionName: 1 });
+  const eventsByName = new Map(
+    events.map((event) => [normalizeName(event.competitionName), event])
+  );
+
+  let defaultEvent = null;
+  if (defaultName) {
+    defaultEvent = eventsByName.get(normalizeName(defaultName));
+    if (!defaultEvent) {
+      throw new Error(`--default competition "${defaultName}" not found`);
+    }
+  }
+
+  // the raw collection, the model has neither the legacy fields nor deleted teams
+  const collection = CodersCupAttendance.collection;
+  const teams = await collection
+    .find({ $or: [{ competition: { $exists: false } }, { competition: null }] })
+    .toArray();
+
+  const linked = new Map(); // competition name -> teams linked to it
+  const unmatched = new Map(); // legacy name -> teams
+  let missing = 0;
+  const unset = Object.fromEntries(LEGACY_FIELDS.map((field) => [field, ""]));
+
+  for (const team of teams) {
+    const legacyName = getLegacyCompetitionName(team);
+    const event = legacyName
+      ? eventsByName.get(normalizeName(legacyName))
+      : defaultEvent;
+
+    if (!event) {
+      if (legacyName) {
+        unmatched.set(legacyName, (unmatched.get(legacyName) || 0) + 1);
+      } else {
+        missing++;
+      }
+      continue;
+    }
+
+    const name = event.competitionName;
+    linked.set(name, (linked.get(name) || 0) + 1);
+    if (!dryRun) {
+      const update = { $set: { competition: event._id } };
+      if (dropLegacy) update.$unset = unset;
+      await collection.updateOne({ _id: team._id }, update);
+    }
+  }
+
+  // teams linked before, still carrying the old fields
+  let staleCount = 0;
+  if (dropLegacy) {
+    const stale = {
+      competition: { $ne: null },
+      $or: LEGACY_FIELDS.map((field) => ({ [field]: { $exists: true } })),
+    };
+    staleCount = dryRun
+      ? await collection.countDocuments(stale)
+      : (await collection.updateMany(stale, { $unset: unset })).modifiedCount;
+  }
+
+  const verb = dryRun ? "Would link" : "Linked";
+  for (const [name, count] of linked) {
+    logger.success(`${verb} ${logger.val(count)} teams to ${logger.val(name)}`);
+  }
+  if (staleCount > 0) {
+    logger.info(
+      `${dryRun ? "Would drop" : "Dropped"} legacy fields from ${logger.val(staleCount)} linked teams`
+    );
+  }
+  for (const [name, count] of unmatched) {
+    logger.warn(`No event named ${logger.val(name)} for ${logger.val(count)} teams`);
+  }
+  if (missing > 0) {
+    logger.warn(
+      `${logger.val(missing)} teams have no competition field, rerun with --default "<competition name>"`
+    );
+  }
+  if (teams.length === 0 && staleCount === 0) {
+    logger.info("Every team is linked to its competition, nothing to do");
+  }
+
+  return unmatched.size === 0 && missing === 0;
+}
+
+async function main() {
+  if (!process.env.MONGO_URI) {
+    logger.error("MONGO_URI not set");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  try {
+    const complete = await migrate(parseArgs(process.argv.slice(2)));
+    process.exitCode = complete ? 0 : 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    logger.error(`Migration failed: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { LEGACY_FIELDS, getLegacyCompetitionName, migrate };
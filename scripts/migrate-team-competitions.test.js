@@ -0,0 +1,118 @@
+const mockEvents = [
+  { _id: "event-speed", competitionName: "Speed Programming" },
+  { _id: "event-sql", competitionName: "SQL Saga" },
+];
+let mockTeams;
+
+jest.mock("../models/Models", () => ({
+  Event: { find: jest.fn(() => Promise.resolve(mockEvents)) },
+  CodersCupAttendance: {
+    collection: {
+      find: jest.fn(() => ({ toArray: () => Promise.resolve(mockTeams) })),
+      updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+      updateMany: jest.fn().mockResolvedValue({ modifiedCount: 0 }),
+      countDocuments: jest.fn().mockResolvedValue(0),
+    },
+  },
+}));
+
+const { CodersCupAttendance } = require("../models/Models");
+const {
+  getLegacyCompetitionName,
+  migrate,
+} = require("./migrate-team-competitions");
+
+const { collection } = CodersCupAttendance;
+const unsetLegacy = {
+  "Competition Name": "",
+  competitionName: "",
+  Competition: "",
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("getLegacyCompetitionName", () => {
+  it("should read every legacy field", () => {
+    expect(getLegacyCompetitionName({ "Competition Name": "SQL Saga" })).toBe(
+      "SQL Saga"
+    );
+    expect(getLegacyCompetitionName({ competitionName: "SQL Saga" })).toBe(
+      "SQL Saga"
+    );
+    expect(getLegacyCompetitionName({ Competition: "SQL Saga" })).toBe(
+      "SQL Saga"
+    );
+    expect(getLegacyCompetitionName({ competitionName: "  " })).toBeUndefined();
+  });
+});
+
+describe("migrate", () => {
+  it("should link teams by any legacy field, ignoring case and spacing", async () => {
+    mockTeams = [
+      { _id: "team-1", "Competition Name": "Speed Programming" },
+      { _id: "team-2", competitionName: "sql  saga" },
+      { _id: "team-3", Competition: "SQL Saga " },
+    ];
+
+    const complete = await migrate({ dryRun: false, defaultName: null });
+
+    expect(complete).toBe(true);
+    expect(collection.updateOne.mock.calls).toEqual([
+      [{ _id: "team-1" }, { $set: { competition: "event-speed" } }],
+      [{ _id: "team-2" }, { $set: { competition: "event-sql" } }],
+      [{ _id: "team-3" }, { $set: { competition: "event-sql" } }],
+    ]);
+    expect(collection.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("should drop the legacy fields only when asked to", async () => {
+    mockTeams = [{ _id: "team-1", competitionName: "SQL Saga" }];
+
+    await migrate({ dryRun: false, defaultName: null, dropLegacy: true });
+
+    expect(collection.updateOne).toHaveBeenCalledWith(
+      { _id: "team-1" },
+      { $set: { competition: "event-sql" }, $unset: unsetLegacy }
+    );
+    expect(collection.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ competition: { $ne: null } }),
+      { $unset: unsetLegacy }
+    );
+  });
+
+  it("should report teams it can't link", async () => {
+    mockTeams = [
+      { _id: "team-1", competitionName: "Web Hackathon" },
+      { _id: "team-2" },
+    ];
+
+    const complete = await migrate({ dryRun: false, defaultName: null });
+
+    expect(complete).toBe(false);
+    expect(collection.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("should use the default competition for teams without one", async () => {
+    mockTeams = [{ _id: "team-1" }];
+
+    const complete = await migrate({ dryRun: false, defaultName: "sql saga" });
+
+    expect(complete).toBe(true);
+    expect(collection.updateOne).toHaveBeenCalledWith(
+      { _id: "team-1" },
+      { $set: { competition: "event-sql" } }
+    );
+  });
+
+  it("should not write anything on a dry run", async () => {
+    mockTeams = [{ _id: "team-1", competitionName: "SQL Saga" }];
+
+    await migrate({ dryRun: true, defaultName: null, dropLegacy: true });
+
+    expect(collection.updateOne).not.toHaveBeenCalled();
+    expect(collection.updateMany).not.toHaveBeenCalled();
+    expect(collection.countDocuments).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,91 @@
+// Team attendance codes: random, with a check character to catch typos
+const crypto = require("crypto");
+
+const ATT_CODE_DEFAULTS = {
+  prefix: process.env.ATT_CODE_PREFIX ?? "CC-",
+  // random characters, not counting the prefix or check character
+  length: Number(process.env.ATT_CODE_LENGTH) || 8,
+  // no 0/O, 1/I/L so codes survive being read out loud or copied by hand
+  alphabet: "23456789ABCDEFGHJKMNPQRSTUVWXYZ",
+  checksum: true,
+};
+
+function withDefaults(options) {
+  return { ...ATT_CODE_DEFAULTS, ...options };
+}
+
+/**
+ * Luhn mod N check character, catches any single mistyped character and most
+ * swaps of neighbouring characters
+ * @param {string} body - Code characters, all from the alphabet
+ * @param {string} alphabet
+ * @returns {string}
+ */
+function checkCharacter(body, alphabet) {
+  const n = alphabet.length;
+  let sum = 0;
+  let factor = 2;
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * alphabet.indexOf(body[i]);
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+    factor = factor === 2 ? 1 : 2;
+  }
+  return alphabet[(n - (sum % n)) % n];
+}
+
+/**
+ * Generate a random att code
+ * @param {Object} [options] - Overrides for ATT_CODE_DEFAULTS
+ * @returns {string}
+ */
+function generateAttCode(options = {}) {
+  const { prefix, length, alphabet, checksum } = withDefaults(options);
+  let body = "";
+  for (let i = 0; i < length; i++) {
+    body += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return prefix + body + (checksum ? checkCharacter(body, alphabet) : "");
+}
+
+/**
+ * Whether a code has the generated format, with a matching check character.
+ * Codes imported from registration forms may not, so this is for catching
+ * typos rather than for rejecting codes outright.
+ * @param {string} code
+ * @param {Object} [options] - Overrides for ATT_CODE_DEFAULTS
+ * @returns {boolean}
+ */
+function isWellFormedAttCode(code, options = {}) {
+  const { prefix, length, alphabet, checksum } = withDefaults(options);
+  if (typeof code !== "string" || !code.startsWith(prefix)) return false;
+
+  const rest = code.slice(prefix.length);
+  if (rest.length !== length + (checksum ? 1 : 0)) return false;
+  if (![...rest].every((char) => alphabet.includes(char))) return false;
+  if (!checksum) return true;
+  return checkCharacter(rest.slice(0, -1), alphabet) === rest.slice(-1);
+}
+
+/**
+ * Generate a code that is not in use yet
+ * @param {Function} isTaken - async (code) => boolean
+ * @param {Object} [options] - Overrides for ATT_CODE_DEFAULTS
+ * @param {number} [attempts]
+ * @returns {Promise<string>}
+ */
+async function generateUniqueAttCode(isTaken, options = {}, attempts = 5) {
+  for (let i = 0; i < attempts; i++) {
+    const code = generateAttCode(options);
+    if (!(await isTaken(code))) return code;
+  }
+  throw new Error("Could not generate an unused att code, try a longer code");
+}
+
+module.exports = {
+  ATT_CODE_DEFAULTS,
+  checkCharacter,
+  generateAttCode,
+  isWellFormedAttCode,
+  generateUniqueAttCode,
+};
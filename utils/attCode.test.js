@@ -0,0 +1,66 @@
+const {
+  ATT_CODE_DEFAULTS,
+  checkCharacter,
+  generateAttCode,
+  isWellFormedAttCode,
+  generateUniqueAttCode,
+} = require("./attCode");
+
+describe("generateAttCode", () => {
+  it("should generate prefixed codes with a valid check character", () => {
+    const code = generateAttCode();
+
+    expect(code.startsWith(ATT_CODE_DEFAULTS.prefix)).toBe(true);
+    expect(code).toHaveLength(ATT_CODE_DEFAULTS.prefix.length + 9);
+    expect(isWellFormedAttCode(code)).toBe(true);
+  });
+
+  it("should respect a custom length and alphabet", () => {
+    const code = generateAttCode({
+      prefix: "",
+      length: 6,
+      alphabet: "0123456789",
+      checksum: false,
+    });
+
+    expect(code).toMatch(/^\d{6}$/);
+  });
+});
+
+describe("isWellFormedAttCode", () => {
+  const body = "ABCD2345";
+  const code = `CC-${body}${checkCharacter(body, ATT_CODE_DEFAULTS.alphabet)}`;
+
+  it("should catch a single mistyped character", () => {
+    expect(isWellFormedAttCode(code)).toBe(true);
+    expect(isWellFormedAttCode(code.replace("B", "C"))).toBe(false);
+  });
+
+  it("should catch swapped neighbouring characters", () => {
+    expect(isWellFormedAttCode(code.replace("AB", "BA"))).toBe(false);
+  });
+
+  it("should reject ambiguous characters and other formats", () => {
+    expect(isWellFormedAttCode(code.replace("A", "O"))).toBe(false);
+    expect(isWellFormedAttCode("CC-1a2b3c4d")).toBe(false);
+  });
+});
+
+describe("generateUniqueAttCode", () => {
+  it("should retry until a code is free", async () => {
+    const isTaken = jest
+      .fn()
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(false);
+
+    const code = await generateUniqueAttCode(isTaken);
+    expect(isTaken).toHaveBeenCalledTimes(2);
+    expect(isWellFormedAttCode(code)).toBe(true);
+  });
+
+  it("should give up after the given attempts", async () => {
+    await expect(
+      generateUniqueAttCode(() => Promise.resolve(true), {}, 3)
+    ).rejects.toThrow("Could not generate an unused att code");
+  });
+});
@@ -0,0 +1,86 @@
+const crypto = require("crypto");
+const { AttendanceChallenge } = require("../models/Models");
+
+const CHALLENGE_TTL = 2 * 60 * 1000; // 2 minutes in milliseconds
+
+function getSecret() {
+  const secret = process.env.ATTENDANCE_CHALLENGE_SECRET;
+  if (!secret) {
+    throw new Error("ATTENDANCE_CHALLENGE_SECRET is not configured");
+  }
+  return secret;
+}
+
+function sign(nonce, attCode, expiresAt) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`${nonce}.${attCode}.${expiresAt}`)
+    .digest("hex");
+}
+
+/**
+ * Issue a short-lived, single-use challenge bound to an att code
+ * @param {string} attCode - Team attendance code
+ * @returns {Promise<{challenge: string, expiresAt: Date}>}
+ */
+async function issueChallenge(attCode) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const expiresAt = Date.now() + CHALLENGE_TTL;
+
+  await AttendanceChallenge.create({
+    nonce,
+    attCode,
+    expiresAt: new Date(expiresAt),
+  });
+
+  return {
+    challenge: `${nonce}.${expiresAt}.${sign(nonce, attCode, expiresAt)}`,
+    expiresAt: new Date(expiresAt),
+  };
+}
+
+/**
+ * Verify a challenge's signature and expiry, then consume it so it cannot be
+ * used again
+ * @param {string} challenge - Token returned by issueChallenge
+ * @param {string} attCode - Att code the payload is submitted for
+ * @returns {Promise<{valid: boolean, reason?: string}>}
+ */
+async function consumeChallenge(challenge, attCode) {
+  if (typeof challenge !== "string") {
+    return { valid: false, reason: "Challenge missing" };
+  }
+
+  const [nonce, expiresAtStr, signature] = challenge.split(".");
+  const expiresAt = Number(expiresAtStr);
+  if (!nonce || !signature || !Number.isFinite(expiresAt)) {
+    return { valid: false, reason: "Malformed challenge" };
+  }
+
+  const expected = Buffer.from(sign(nonce, attCode, expiresAt), "hex");
+  const received = Buffer.from(signature, "hex");
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return { valid: false, reason: "Invalid challenge signature" };
+  }
+
+  const now = new Date();
+  if (expiresAt < now.getTime()) {
+    return { valid: false, reason: "Challenge expired" };
+  }
+
+  // atomically mark as used so concurrent submissions cannot both succeed
+  const consumed = await AttendanceChallenge.findOneAndUpdate(
+    { nonce, attCode, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now }
+  );
+  if (!consumed) {
+    return { valid: false, reason: "Challenge already used or expired" };
+  }
+
+  return { valid: true };
+}
+
+module.exports = { issueChallenge, consumeChallenge, CHALLENGE_TTL };
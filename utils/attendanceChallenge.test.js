@@ -0,0 +1,75 @@
+// In-memory stand-in for the AttendanceChallenge collection
+const mockChallenges = new Map();
+
+jest.mock("../models/Models", () => ({
+  AttendanceChallenge: {
+    create: jest.fn().mockImplementation((doc) => {
+      mockChallenges.set(doc.nonce, { ...doc, usedAt: null });
+      return Promise.resolve(doc);
+    }),
+    findOneAndUpdate: jest.fn().mockImplementation((filter, update) => {
+      const doc = mockChallenges.get(filter.nonce);
+      if (
+        !doc ||
+        doc.attCode !== filter.attCode ||
+        doc.usedAt !== null ||
+        doc.expiresAt <= filter.expiresAt.$gt
+      ) {
+        return Promise.resolve(null);
+      }
+      doc.usedAt = update.usedAt;
+      return Promise.resolve(doc);
+    }),
+  },
+}));
+
+const { issueChallenge, consumeChallenge } = require("./attendanceChallenge");
+
+beforeAll(() => {
+  process.env.ATTENDANCE_CHALLENGE_SECRET = "test-secret";
+});
+
+afterEach(() => {
+  mockChallenges.clear();
+});
+
+describe("attendance challenges", () => {
+  it("should accept a fresh challenge once", async () => {
+    const { challenge } = await issueChallenge("CC-1234");
+
+    expect(await consumeChallenge(challenge, "CC-1234")).toEqual({
+      valid: true,
+    });
+    expect(await consumeChallenge(challenge, "CC-1234")).toMatchObject({
+      valid: false,
+      reason: "Challenge already used or expired",
+    });
+  });
+
+  it("should reject a challenge issued for another att code", async () => {
+    const { challenge } = await issueChallenge("CC-1234");
+    const result = await consumeChallenge(challenge, "CC-9999");
+    expect(result).toMatchObject({
+      valid: false,
+      reason: "Invalid challenge signature",
+    });
+  });
+
+  it("should reject a challenge with a tampered expiry", async () => {
+    const { challenge } = await issueChallenge("CC-1234");
+    const [nonce, expiresAt, signature] = challenge.split(".");
+    const tampered = `${nonce}.${Number(expiresAt) + 60000}.${signature}`;
+    const result = await consumeChallenge(tampered, "CC-1234");
+    expect(result.valid).toBe(false);
+  });
+
+  it("should reject malformed challenges", async () => {
+    expect(await consumeChallenge("not-a-challenge", "CC-1234")).toMatchObject(
+      { valid: false, reason: "Malformed challenge" }
+    );
+    expect(await consumeChallenge(undefined, "CC-1234")).toMatchObject({
+      valid: false,
+      reason: "Challenge missing",
+    });
+  });
+});
@@ -0,0 +1,65 @@
+// In-process feed of attendance changes for live dashboards. Subscribers only
+// see changes handled by the same server instance.
+const { EventEmitter } = require("events");
+const { CodersCupAttendance } = require("../models/Models");
+const { getCompetitionId } = require("./teamCompetition");
+const logger = require("./logger")("AttendanceFeed");
+
+const FEED_HEARTBEAT_INTERVAL = 25 * 1000; // keeps proxies from closing idle streams
+
+const attendanceFeed = new EventEmitter();
+// one listener per open dashboard tab
+attendanceFeed.setMaxListeners(0);
+
+/**
+ * Teams registered and checked in so far
+ * @returns {Promise<{teams: number, marked: number}>}
+ */
+async function getAttendanceCounts() {
+  const [teams, marked] = await Promise.all([
+    CodersCupAttendance.countDocuments({}),
+    CodersCupAttendance.countDocuments({ "Attendance Marked": true }),
+  ]);
+  return { teams, marked };
+}
+
+/**
+ * Push an attendance change to everyone subscribed, along with the updated
+ * counts. Does nothing when no one is listening and never throws.
+ * @param {Object} team - CodersCupAttendance document after the change
+ * @param {Object} change
+ * @param {string} change.action - "mark", "unmark" or "checkout"
+ * @param {string} change.source - "self", "admin" or "offline"
+ * @param {string|null} [change.member] - Member slot, null for the whole team
+ * @param {Object|null} [change.session] - Event session, if any
+ */
+async function publishAttendanceChange(
+  team,
+  { action, source, member = null, session = null }
+) {
+  if (attendanceFeed.listenerCount("change") === 0) return;
+
+  try {
+    attendanceFeed.emit("change", {
+      action,
+      source,
+      member,
+      session: (session && session.name) || null,
+      team_name: team["Team Name"] || "",
+      att_code: team["Att Code"] || "",
+      competition: getCompetitionId(team),
+      attendance: Boolean(team["Attendance Marked"]),
+      at: new Date(),
+      counts: await getAttendanceCounts(),
+    });
+  } catch (err) {
+    logger.error(`Failed to publish ${action}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  FEED_HEARTBEAT_INTERVAL,
+  attendanceFeed,
+  getAttendanceCounts,
+  publishAttendanceChange,
+};
@@ -0,0 +1,65 @@
+jest.mock("../models/Models", () => ({
+  CodersCupAttendance: {
+    countDocuments: jest.fn((filter) =>
+      Promise.resolve(filter["Attendance Marked"] ? 12 : 40)
+    ),
+  },
+}));
+
+const { CodersCupAttendance } = require("../models/Models");
+const {
+  attendanceFeed,
+  getAttendanceCounts,
+  publishAttendanceChange,
+} = require("./attendanceFeed");
+
+const team = {
+  "Team Name": "Segfault Survivors",
+  "Att Code": "CC-1234",
+  competition: "event-speed",
+  "Attendance Marked": true,
+};
+
+afterEach(() => {
+  attendanceFeed.removeAllListeners();
+  jest.clearAllMocks();
+});
+
+describe("getAttendanceCounts", () => {
+  it("should count registered and checked in teams", async () => {
+    expect(await getAttendanceCounts()).toEqual({ teams: 40, marked: 12 });
+  });
+});
+
+describe("publishAttendanceChange", () => {
+  it("should push the change with updated counts", async () => {
+    const listener = jest.fn();
+    attendanceFeed.on("change", listener);
+
+    await publishAttendanceChange(team, {
+      action: "mark",
+      source: "self",
+      member: "leader",
+      session: { _id: "session-final", name: "Final" },
+    });
+
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "mark",
+        source: "self",
+        member: "leader",
+        session: "Final",
+        team_name: "Segfault Survivors",
+        att_code: "CC-1234",
+        attendance: true,
+        counts: { teams: 40, marked: 12 },
+      })
+    );
+  });
+
+  it("should skip the counts when nobody is listening", async () => {
+    await publishAttendanceChange(team, { action: "unmark", source: "admin" });
+
+    expect(CodersCupAttendance.countDocuments).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,55 @@
+const { AttendanceHistory } = require("../models/Models");
+const { publishAttendanceChange } = require("./attendanceFeed");
+const logger = require("./logger")("AttendanceHistory");
+
+/**
+ * Append an attendance change to the team's history and push it to the live
+ * feed. Never throws, the attendance change itself has already been saved by
+ * the time this runs.
+ * @param {Object} req - Express request, req.admin is set on admin routes
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Object} details
+ * @param {string} details.action - "mark", "unmark" or "checkout"
+ * @param {string} details.source - "self", "admin" or "offline"
+ * @param {string|null} [details.member] - Member slot, null for the whole team
+ * @param {Object|null} [details.session] - Event session, null for single-window events
+ * @param {Object|null} [details.location] - Submitted location, if any
+ * @param {string} [details.deviceId] - Volunteer device, for offline check-ins
+ */
+async function recordAttendanceEvent(
+  req,
+  team,
+  {
+    action,
+    source,
+    member = null,
+    session = null,
+    location = null,
+    deviceId = "",
+  }
+) {
+  try {
+    await AttendanceHistory.create({
+      team: team._id,
+      attCode: team["Att Code"],
+      action,
+      member,
+      session: (session && session._id) || null,
+      source,
+      adminUserName: (req.admin && req.admin.adminUserName) || "",
+      ip: req.ip || "",
+      userAgent: req.get("user-agent") || "",
+      location,
+      deviceId,
+    });
+  } catch (err) {
+    logger.error(
+      `Failed to record ${action} for ${logger.val(team["Att Code"])}: ${
+        err.message
+      }`
+    );
+  }
+  await publishAttendanceChange(team, { action, source, member, session });
+}
+
+module.exports = { recordAttendanceEvent };
@@ -194,6 +194,7 @@ function adaptToEnvironment() {
  * @param {string} name - recipient name
  * @param {string} competition - competition name
  * @param {string} teamName - team name (for metadata)
+ * @param {string} award - placing for ranked teams, e.g. "1st Place"
  * @param {number} retryCount - internal counter for retry attempts
  * @returns {Promise<Buffer>} - PDF buffer
  */
@@ -201,11 +202,18 @@ function generateCertificateBuffer(
   name,
   competition,
   teamName = "",
+  award = "",
   retryCount = 0
 ) {
   // If this function has been mocked for testing, call the mock instead
   if (_generateCertificateBuffer) {
-    return _generateCertificateBuffer(name, competition, teamName, retryCount);
+    return _generateCertificateBuffer(
+      name,
+      competition,
+      teamName,
+      award,
+      retryCount
+    );
   }
 
   return new Promise((resolve, reject) => {
@@ -241,7 +249,9 @@ function generateCertificateBuffer(
         margin: 0,
         dpi: 365,
         info: {
-          Title: `Certificate of Participation - ${name}`,
+          Title: `Certificate of ${
+            award ? "Achievement" : "Participation"
+          } - ${name}`,
           Author: "DevDay 2025",
           Subject: `${teamName} - ${competition}`,
         },
@@ -267,7 +277,13 @@ function generateCertificateBuffer(
               retryCount + 1
             })`
           );
-          generateCertificateBuffer(name, competition, teamName, retryCount + 1)
+          generateCertificateBuffer(
+            name,
+            competition,
+            teamName,
+            award,
+            retryCount + 1
+          )
             .then(resolve)
             .catch(reject);
         } else {
@@ -332,6 +348,15 @@ function generateCertificateBuffer(
         align: "center",
       });
 
+      // placing under the competition name (however many lines it wrapped
+      // to), for ranked teams
+      if (award) {
+        doc.fontSize(16).text(award.slice(0, 40), 1.3 * 72, doc.y + 0.05 * 72, {
+          width: 4.1 * 72,
+          align: "center",
+        });
+      }
+
       // finalize PDF
       doc.end();
     } catch (err) {
@@ -346,7 +371,13 @@ function generateCertificateBuffer(
           })`
         );
         setTimeout(() => {
-          generateCertificateBuffer(name, competition, teamName, retryCount + 1)
+          generateCertificateBuffer(
+            name,
+            competition,
+            teamName,
+            award,
+            retryCount + 1
+          )
             .then(resolve)
             .catch(reject);
         }, backoffMs); // Exponential backoff
@@ -362,12 +393,14 @@ function generateCertificateBuffer(
  * @param {Array<string>} members - array of member names
  * @param {string} competition - competition name
  * @param {string} teamName - team name for metadata
+ * @param {string} award - placing for ranked teams, empty otherwise
  * @returns {Promise<Array<{name: string, buffer: Buffer}>>} - named certificate buffers
  */
 async function generateTeamCertificateBuffers(
   members,
   competition,
-  teamName = ""
+  teamName = "",
+  award = ""
 ) {
   if (!Array.isArray(members) || members.length === 0) {
     logger.error("Invalid members array for certificate generation");
@@ -387,7 +420,8 @@ async function generateTeamCertificateBuffers(
       const buffer = await generateCertificateBuffer(
         member,
         competition,
-        teamName
+        teamName,
+        award
       );
       certificates.push({
         name: member,
@@ -0,0 +1,156 @@
+// Competition rankings recorded by admins, and what they mean for teams
+const { EVENT_STATUS, getScheduleStatus } = require("./eventLifecycle");
+
+const MAX_RESULTS = 100;
+
+// 1st, 2nd, 3rd, 4th ... 11th, 12th, 13th ... 21st
+function ordinal(position) {
+  const teens = position % 100 >= 11 && position % 100 <= 13;
+  const suffix = teens ? "th" : { 1: "st", 2: "nd", 3: "rd" }[position % 10] || "th";
+  return `${position}${suffix}`;
+}
+
+/**
+ * Check rankings submitted by an admin. Ties share a position and push the
+ * teams after them down (1, 1, 3), as in standard competition ranking.
+ * @param {Array<{att_code: string, position: number}>} entries
+ * @param {Array<Object>} teams - Teams of the competition holding those att codes
+ * @returns {{errors: Array<string>}|{results: Array<{team: Object, position: number}>}}
+ */
+function validateResults(entries, teams) {
+  if (!Array.isArray(entries)) {
+    return { errors: ["results must be a list of {att_code, position}"] };
+  }
+  if (entries.length > MAX_RESULTS) {
+    return { errors: [`At most ${MAX_RESULTS} teams can be ranked`] };
+  }
+
+  const byAttCode = new Map(teams.map((team) => [team["Att Code"], team]));
+  const seen = new Set();
+  const errors = [];
+  const results = [];
+  entries.forEach((entry, index) => {
+    const { att_code: attCode, position } = entry || {};
+    const label = attCode ? `Att Code ${attCode}` : `Result ${index + 1}`;
+    if (!Number.isInteger(position) || position < 1) {
+      errors.push(`${label}: position must be a whole number from 1`);
+      return;
+    }
+    const team = byAttCode.get(attCode);
+    if (!team) {
+      errors.push(`${label}: no such team in this competition`);
+      return;
+    }
+    if (seen.has(attCode)) {
+      errors.push(`${label}: ranked more than once`);
+      return;
+    }
+    seen.add(attCode);
+    if (!team["Attendance Marked"]) {
+      errors.push(`${label}: "${team["Team Name"]}" did not attend`);
+      return;
+    }
+    results.push({ team: team._id, position });
+  });
+  if (errors.length > 0) return { errors };
+
+  const positions = results.map((result) => result.position).sort((a, b) => a - b);
+  for (let i = 0; i < positions.length; i++) {
+    if (positions[i] !== positions[i - 1] && positions[i] !== i + 1) {
+      return {
+        errors: [
+          `Position ${positions[i]} should be ${i + 1}, ${i} teams are ranked above it`,
+        ],
+      };
+    }
+  }
+  return { results: results.sort((a, b) => a.position - b.position) };
+}
+
+/**
+ * A team's place in its competition
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Object} event - Event document with results
+ * @returns {{position: number, tied: boolean, award: string}|null} null if unranked
+ */
+function getTeamResult(team, event) {
+  const results = (event && event.results) || [];
+  const result = results.find(
+    (entry) => String(entry.team) === String(team._id)
+  );
+  if (!result) return null;
+
+  const tied = results.some(
+    (entry) => entry !== result && entry.position === result.position
+  );
+  return {
+    position: result.position,
+    tied,
+    award: `${tied ? "Joint " : ""}${ordinal(result.position)} Place`,
+  };
+}
+
+/**
+ * Whether anyone can see an event's results: once it has ended, unless it's
+ * still a draft
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function areResultsPublic(event, now = new Date()) {
+  return (
+    event.status !== EVENT_STATUS.DRAFT &&
+    getScheduleStatus(event, now) === EVENT_STATUS.ENDED
+  );
+}
+
+/**
+ * Rankings of an event in order, leaving out teams deleted since
+ * @param {Object} event - Event document with results
+ * @param {Array<Object>} teams - The ranked teams
+ * @param {Function} mapTeam - Team document to the fields to show
+ * @returns {Array<Object>}
+ */
+function mapResults(event, teams, mapTeam) {
+  const byId = new Map(teams.map((team) => [String(team._id), team]));
+  return (event.results || [])
+    .filter((result) => byId.has(String(result.team)))
+    .sort((a, b) => a.position - b.position)
+    .map((result) => {
+      const team = byId.get(String(result.team));
+      return { ...getTeamResult(team, event), ...mapTeam(team) };
+    });
+}
+
+/**
+ * Certificates are handed out once the event is over, to teams that
+ * attended, with the team's place on them if it was ranked
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Object|null} event - The team's event
+ * @param {Date} [now]
+ * @returns {{available: boolean, reason: string|null, award: string|null}}
+ */
+function getCertificateAvailability(team, event, now = new Date()) {
+  if (!event || now <= new Date(event.end_time)) {
+    return {
+      available: false,
+      reason: "Certificates are only available after the event has ended",
+      award: null,
+    };
+  }
+  if (!team["Attendance Marked"]) {
+    return { available: false, reason: "Attendance was not marked", award: null };
+  }
+  const result = getTeamResult(team, event);
+  return { available: true, reason: null, award: result ? result.award : null };
+}
+
+module.exports = {
+  MAX_RESULTS,
+  ordinal,
+  validateResults,
+  getTeamResult,
+  areResultsPublic,
+  mapResults,
+  getCertificateAvailability,
+};
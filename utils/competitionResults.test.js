@@ -0,0 +1,200 @@
+const {
+  ordinal,
+  validateResults,
+  getTeamResult,
+  areResultsPublic,
+  mapResults,
+  getCertificateAvailability,
+} = require("./competitionResults");
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date("2025-03-01T09:00:00Z");
+const end = new Date(start.getTime() + 3 * HOUR);
+
+const makeTeam = (id, overrides = {}) => ({
+  _id: id,
+  "Att Code": `CC-${id}`,
+  "Team Name": `Team ${id}`,
+  "Attendance Marked": true,
+  ...overrides,
+});
+
+const teams = ["A", "B", "C", "D"].map((id) => makeTeam(id));
+
+describe("ordinal", () => {
+  it("uses st, nd, rd and th", () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 101].map(ordinal)).toEqual([
+      "1st",
+      "2nd",
+      "3rd",
+      "4th",
+      "11th",
+      "12th",
+      "13th",
+      "21st",
+      "22nd",
+      "101st",
+    ]);
+  });
+});
+
+describe("validateResults", () => {
+  it("accepts ties followed by a skipped position", () => {
+    const { results, errors } = validateResults(
+      [
+        { att_code: "CC-C", position: 3 },
+        { att_code: "CC-A", position: 1 },
+        { att_code: "CC-B", position: 1 },
+      ],
+      teams
+    );
+
+    expect(errors).toBeUndefined();
+    expect(results).toEqual([
+      { team: "A", position: 1 },
+      { team: "B", position: 1 },
+      { team: "C", position: 3 },
+    ]);
+  });
+
+  it("rejects a position that ignores a tie above it", () => {
+    const { errors } = validateResults(
+      [
+        { att_code: "CC-A", position: 1 },
+        { att_code: "CC-B", position: 1 },
+        { att_code: "CC-C", position: 2 },
+      ],
+      teams
+    );
+
+    expect(errors).toEqual(["Position 2 should be 3, 2 teams are ranked above it"]);
+  });
+
+  it("rejects gaps in the ranking", () => {
+    const { errors } = validateResults([{ att_code: "CC-A", position: 2 }], teams);
+
+    expect(errors).toEqual(["Position 2 should be 1, 0 teams are ranked above it"]);
+  });
+
+  it("reports unknown, repeated, absent and badly positioned teams", () => {
+    const { errors } = validateResults(
+      [
+        { att_code: "CC-A", position: 1 },
+        { att_code: "CC-A", position: 2 },
+        { att_code: "CC-X", position: 3 },
+        { att_code: "CC-B", position: 0 },
+        { att_code: "CC-E", position: 4 },
+      ],
+      [...teams, makeTeam("E", { "Attendance Marked": false })]
+    );
+
+    expect(errors).toEqual([
+      "Att Code CC-A: ranked more than once",
+      "Att Code CC-X: no such team in this competition",
+      "Att Code CC-B: position must be a whole number from 1",
+      'Att Code CC-E: "Team E" did not attend',
+    ]);
+  });
+
+  it("accepts an empty list to clear the results", () => {
+    expect(validateResults([], teams)).toEqual({ results: [] });
+  });
+});
+
+describe("getTeamResult", () => {
+  const event = {
+    results: [
+      { team: "A", position: 1 },
+      { team: "B", position: 2 },
+      { team: "C", position: 2 },
+    ],
+  };
+
+  it("returns the team's place", () => {
+    expect(getTeamResult(teams[0], event)).toEqual({
+      position: 1,
+      tied: false,
+      award: "1st Place",
+    });
+  });
+
+  it("marks shared places as joint", () => {
+    expect(getTeamResult(teams[2], event)).toEqual({
+      position: 2,
+      tied: true,
+      award: "Joint 2nd Place",
+    });
+  });
+
+  it("returns null for unranked teams", () => {
+    expect(getTeamResult(teams[3], event)).toBeNull();
+    expect(getTeamResult(teams[3], {})).toBeNull();
+  });
+});
+
+describe("areResultsPublic", () => {
+  const event = { start_time: start, end_time: end, late_grace_minutes: 30 };
+
+  it("waits until check-in has closed", () => {
+    expect(areResultsPublic(event, new Date(end.getTime() + 10 * 60 * 1000))).toBe(false);
+    expect(areResultsPublic(event, new Date(end.getTime() + HOUR))).toBe(true);
+  });
+
+  it("keeps archived results public and drafts hidden", () => {
+    const after = new Date(end.getTime() + HOUR);
+    expect(areResultsPublic({ ...event, status: "archived" }, after)).toBe(true);
+    expect(areResultsPublic({ ...event, status: "draft" }, after)).toBe(false);
+  });
+});
+
+describe("mapResults", () => {
+  it("lists results in order, leaving out missing teams", () => {
+    const event = {
+      results: [
+        { team: "B", position: 2 },
+        { team: "Z", position: 3 },
+        { team: "A", position: 1 },
+      ],
+    };
+
+    expect(
+      mapResults(event, teams, (team) => ({ team_name: team["Team Name"] }))
+    ).toEqual([
+      { position: 1, tied: false, award: "1st Place", team_name: "Team A" },
+      { position: 2, tied: false, award: "2nd Place", team_name: "Team B" },
+    ]);
+  });
+});
+
+describe("getCertificateAvailability", () => {
+  const event = {
+    start_time: start,
+    end_time: end,
+    results: [{ team: "A", position: 1 }],
+  };
+  const after = new Date(end.getTime() + HOUR);
+
+  it("is unavailable before the event ends", () => {
+    expect(getCertificateAvailability(teams[0], event, start)).toEqual({
+      available: false,
+      reason: "Certificates are only available after the event has ended",
+      award: null,
+    });
+  });
+
+  it("is unavailable to teams that didn't attend", () => {
+    const team = makeTeam("A", { "Attendance Marked": false });
+    expect(getCertificateAvailability(team, event, after).reason).toBe(
+      "Attendance was not marked"
+    );
+  });
+
+  it("carries the award of ranked teams", () => {
+    expect(getCertificateAvailability(teams[0], event, after)).toEqual({
+      available: true,
+      reason: null,
+      award: "1st Place",
+    });
+    expect(getCertificateAvailability(teams[1], event, after).award).toBeNull();
+  });
+});
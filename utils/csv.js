@@ -0,0 +1,86 @@
+/**
+ * Quote a single CSV field when it contains a delimiter, quote or newline.
+ * Text that spreadsheets would run as a formula (starting with =, +, -, @,
+ * tab or carriage return) is prefixed with ' so it opens as plain text.
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(str)) {
+    str = `'${str}`;
+  }
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<Object>} rows
+ * @param {Array<{key: string, header: string}>} columns - Output column order
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map((column) => escapeCsvValue(column.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(row[column.key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+/**
+ * Parse a CSV document into records keyed by the header row, one per
+ * spreadsheet row (blank rows included). Handles quoted fields with embedded
+ * delimiters, quotes and newlines, as Google Forms and spreadsheet exports
+ * write them.
+ * @param {string} text
+ * @returns {{headers: Array<string>, rows: Array<Object>}}
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  // spreadsheet exports often start with a byte order mark
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headerRecord = [], ...dataRecords] = records;
+  const headers = headerRecord.map((header) => header.trim());
+  const rows = dataRecords.map((values) =>
+    Object.fromEntries(headers.map((header, i) => [header, values[i] ?? ""]))
+  );
+  return { headers, rows };
+}
+
+module.exports = { escapeCsvValue, toCsv, parseCsv };
@@ -0,0 +1,51 @@
+const { escapeCsvValue, toCsv, parseCsv } = require("./csv");
+
+describe("escapeCsvValue", () => {
+  it("should keep text that spreadsheets run as formulas as plain text", () => {
+    expect(escapeCsvValue('=HYPERLINK("http://x","y")')).toBe(
+      '"\'=HYPERLINK(""http://x"",""y"")"'
+    );
+    expect(escapeCsvValue("+92 300 1234567")).toBe("'+92 300 1234567");
+    expect(escapeCsvValue("-1+1")).toBe("'-1+1");
+    expect(escapeCsvValue("@SUM(A1)")).toBe("'@SUM(A1)");
+  });
+
+  it("should leave numbers and ordinary text alone", () => {
+    expect(escapeCsvValue(-5)).toBe("-5");
+    expect(escapeCsvValue("Team = Best")).toBe("Team = Best");
+  });
+});
+
+describe("parseCsv", () => {
+  it("should key rows by the header row", () => {
+    const { headers, rows } = parseCsv(
+      "﻿Team Name , Leader Name\r\nSegfault Survivors,Ayesha Khan\r\n"
+    );
+
+    expect(headers).toEqual(["Team Name", "Leader Name"]);
+    expect(rows).toEqual([
+      { "Team Name": "Segfault Survivors", "Leader Name": "Ayesha Khan" },
+    ]);
+  });
+
+  it("should handle quoted delimiters, quotes and newlines", () => {
+    const { rows } = parseCsv(
+      'Team Name,Team Information\n"Null, Pointers","Says ""hi""\nthere"\n'
+    );
+
+    expect(rows[0]["Team Name"]).toBe("Null, Pointers");
+    expect(rows[0]["Team Information"]).toBe('Says "hi"\nthere');
+  });
+
+  it("should read back what toCsv writes", () => {
+    const columns = [
+      { key: "name", header: "Team Name" },
+      { key: "info", header: "Team Information" },
+    ];
+    const csv = toCsv([{ name: 'The "Best", Team', info: "" }], columns);
+
+    expect(parseCsv(csv).rows).toEqual([
+      { "Team Name": 'The "Best", Team', "Team Information": "" },
+    ]);
+  });
+});
@@ -0,0 +1,175 @@
+// Event status and the settings admins can create and edit events with
+const { getEventSessions } = require("./eventSessions");
+
+const MINUTE = 60 * 1000;
+
+const EVENT_STATUS = {
+  DRAFT: "draft", // being set up, hidden from registration and check-in
+  REGISTRATION: "registration", // published, check-in hasn't opened yet
+  LIVE: "live", // check-in is open
+  ENDED: "ended", // check-in has closed
+  ARCHIVED: "archived", // done with, left out of listings
+};
+
+// create/update body fields, geofence, venues and sessions have their own endpoints
+const EVENT_FIELDS = {
+  dates: [
+    "start_time",
+    "end_time",
+    "registration_opens_at",
+    "registration_closes_at",
+  ],
+  numbers: [
+    "early_open_minutes",
+    "late_grace_minutes",
+    "late_after_minutes",
+    "qr_rotation_seconds",
+    "min_team_size",
+    "max_team_size",
+  ],
+};
+
+/**
+ * Where a published event is in its schedule: registration until check-in
+ * opens on the first session, live until check-in closes on the last, then
+ * ended
+ * @param {Object} event - Event document
+ * @param {Date} [now]
+ * @returns {string} registration, live or ended
+ */
+function getScheduleStatus(event, now = new Date()) {
+  const sessions = getEventSessions(event);
+  const opensAt = Math.min(...sessions.map((s) => new Date(s.start_time)));
+  const closesAt = Math.max(...sessions.map((s) => new Date(s.end_time)));
+  if (now - closesAt > (event.late_grace_minutes || 0) * MINUTE) {
+    return EVENT_STATUS.ENDED;
+  }
+  if (now - opensAt >= -(event.early_open_minutes || 0) * MINUTE) {
+    return EVENT_STATUS.LIVE;
+  }
+  return EVENT_STATUS.REGISTRATION;
+}
+
+/**
+ * Status of an event. Draft and archived are set by admins, anything else
+ * follows the schedule. Events created before statuses existed count as
+ * published.
+ * @param {Object} event - Event document
+ * @param {Date} [now]
+ * @returns {string} One of EVENT_STATUS
+ */
+function getEventStatus(event, now = new Date()) {
+  return isEventPublished(event) ? getScheduleStatus(event, now) : event.status;
+}
+
+/**
+ * Whether teams can see and use an event, i.e. it isn't a draft or archived
+ * @param {Object} event
+ * @returns {boolean}
+ */
+function isEventPublished(event) {
+  return (
+    event.status !== EVENT_STATUS.DRAFT && event.status !== EVENT_STATUS.ARCHIVED
+  );
+}
+
+/**
+ * Event fields from a create or update request body, dates parsed
+ * @param {Object} body
+ * @returns {{error: string}|{fields: Object}}
+ */
+function parseEventFields(body) {
+  const fields = {};
+  if (body.competitionName !== undefined) {
+    if (typeof body.competitionName !== "string" || !body.competitionName.trim()) {
+      return { error: "Competition name is required" };
+    }
+    fields.competitionName = body.competitionName.trim();
+  }
+  for (const field of EVENT_FIELDS.dates) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value === null && field.startsWith("registration_")) {
+      fields[field] = null;
+      continue;
+    }
+    const date = new Date(value);
+    if (value === null || isNaN(date)) {
+      return { error: `${field} must be a valid date` };
+    }
+    fields[field] = date;
+  }
+  for (const field of EVENT_FIELDS.numbers) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${field} must be a non-negative number` };
+    }
+    fields[field] = value;
+  }
+  return { fields };
+}
+
+/**
+ * Check an event's own windows: it ends after it starts and registration
+ * closes after it opens, before the event ends
+ * @param {Object} event - Event document or fields
+ * @returns {string|null} Error message, or null if the windows are valid
+ */
+function validateEventWindows(event) {
+  if (new Date(event.end_time) <= new Date(event.start_time)) {
+    return "End time must be after start time";
+  }
+  const opensAt = event.registration_opens_at;
+  const closesAt = event.registration_closes_at;
+  if (opensAt && closesAt && new Date(opensAt) >= new Date(closesAt)) {
+    return "Registration must open before it closes";
+  }
+  if (closesAt && new Date(closesAt) > new Date(event.end_time)) {
+    return "Registration must close before the event ends";
+  }
+  if (event.min_team_size > event.max_team_size) {
+    return "min_team_size cannot be more than max_team_size";
+  }
+  return null;
+}
+
+/**
+ * Other events running at the same time as this one, archived ones aside
+ * @param {Object} event
+ * @param {Array<Object>} others - Candidate events
+ * @returns {Array<Object>}
+ */
+function findOverlappingEvents(event, others) {
+  const start = new Date(event.start_time);
+  const end = new Date(event.end_time);
+  return others.filter(
+    (other) =>
+      String(other._id) !== String(event._id) &&
+      other.status !== EVENT_STATUS.ARCHIVED &&
+      new Date(other.start_time) < end &&
+      start < new Date(other.end_time)
+  );
+}
+
+/**
+ * Event as returned to admins, with its current status
+ * @param {Object} event - Event document
+ * @param {Date} [now]
+ * @returns {Object}
+ */
+function mapEventWithStatus(event, now = new Date()) {
+  const fields = typeof event.toObject === "function" ? event.toObject() : event;
+  return { ...fields, status: getEventStatus(event, now) };
+}
+
+module.exports = {
+  EVENT_STATUS,
+  getScheduleStatus,
+  getEventStatus,
+  isEventPublished,
+  parseEventFields,
+  validateEventWindows,
+  findOverlappingEvents,
+  mapEventWithStatus,
+};
@@ -0,0 +1,130 @@
+const {
+  EVENT_STATUS,
+  getEventStatus,
+  parseEventFields,
+  validateEventWindows,
+  findOverlappingEvents,
+} = require("./eventLifecycle");
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date("2025-03-01T09:00:00Z");
+const event = {
+  _id: "event-speed",
+  competitionName: "Speed Programming",
+  start_time: start,
+  end_time: new Date(start.getTime() + 3 * HOUR),
+  early_open_minutes: 30,
+  late_grace_minutes: 15,
+  sessions: [],
+};
+
+describe("getEventStatus", () => {
+  it("should follow the schedule once published", () => {
+    const at = (offset) => new Date(start.getTime() + offset);
+
+    expect(getEventStatus(event, at(-HOUR))).toBe(EVENT_STATUS.REGISTRATION);
+    expect(getEventStatus(event, at(-0.5 * HOUR))).toBe(EVENT_STATUS.LIVE);
+    expect(getEventStatus(event, at(3.25 * HOUR))).toBe(EVENT_STATUS.LIVE);
+    expect(getEventStatus(event, at(3.5 * HOUR))).toBe(EVENT_STATUS.ENDED);
+  });
+
+  it("should span every session", () => {
+    const withSessions = {
+      ...event,
+      sessions: [
+        { name: "Final", start_time: new Date(start.getTime() + 5 * HOUR), end_time: new Date(start.getTime() + 6 * HOUR) },
+        { name: "Preliminary", start_time: start, end_time: new Date(start.getTime() + HOUR) },
+      ],
+    };
+
+    expect(getEventStatus(withSessions, new Date(start.getTime() + 4 * HOUR))).toBe(
+      EVENT_STATUS.LIVE
+    );
+  });
+
+  it("should keep draft and archived as set", () => {
+    const now = new Date(start.getTime() + HOUR);
+
+    expect(getEventStatus({ ...event, status: "draft" }, now)).toBe("draft");
+    expect(getEventStatus({ ...event, status: "archived" }, now)).toBe("archived");
+  });
+});
+
+describe("parseEventFields", () => {
+  it("should parse dates and keep numbers", () => {
+    expect(
+      parseEventFields({
+        competitionName: " Speed Programming ",
+        start_time: "2025-03-01T09:00:00Z",
+        registration_closes_at: null,
+        max_team_size: 2,
+        status: "live",
+      })
+    ).toEqual({
+      fields: {
+        competitionName: "Speed Programming",
+        start_time: start,
+        registration_closes_at: null,
+        max_team_size: 2,
+      },
+    });
+  });
+
+  it("should reject invalid values", () => {
+    expect(parseEventFields({ end_time: "soon" }).error).toBe(
+      "end_time must be a valid date"
+    );
+    expect(parseEventFields({ end_time: null }).error).toBe(
+      "end_time must be a valid date"
+    );
+    expect(parseEventFields({ late_grace_minutes: -5 }).error).toBe(
+      "late_grace_minutes must be a non-negative number"
+    );
+  });
+});
+
+describe("validateEventWindows", () => {
+  it("should accept a valid event", () => {
+    expect(
+      validateEventWindows({
+        ...event,
+        registration_opens_at: new Date(start.getTime() - 48 * HOUR),
+        registration_closes_at: new Date(start.getTime() - 24 * HOUR),
+      })
+    ).toBeNull();
+  });
+
+  it("should reject windows in the wrong order", () => {
+    expect(validateEventWindows({ ...event, end_time: start })).toBe(
+      "End time must be after start time"
+    );
+    expect(
+      validateEventWindows({
+        ...event,
+        registration_opens_at: start,
+        registration_closes_at: new Date(start.getTime() - HOUR),
+      })
+    ).toBe("Registration must open before it closes");
+    expect(
+      validateEventWindows({
+        ...event,
+        registration_closes_at: new Date(start.getTime() + 4 * HOUR),
+      })
+    ).toBe("Registration must close before the event ends");
+  });
+});
+
+describe("findOverlappingEvents", () => {
+  it("should find other unarchived events running at the same time", () => {
+    const others = [
+      event,
+      { _id: "a", competitionName: "Overlapping", start_time: new Date(start.getTime() + 2 * HOUR), end_time: new Date(start.getTime() + 4 * HOUR) },
+      { _id: "b", competitionName: "Back to back", start_time: event.end_time, end_time: new Date(start.getTime() + 5 * HOUR) },
+      { _id: "c", competitionName: "Archived", status: "archived", start_time: start, end_time: event.end_time },
+    ];
+
+    expect(
+      findOverlappingEvents(event, others).map((other) => other.competitionName)
+    ).toEqual(["Overlapping"]);
+  });
+});
@@ -0,0 +1,253 @@
+// Rounds of an event (e.g. preliminary and final) and per-round attendance
+const { isMemberMarked, isCheckedOut } = require("./teamMembers");
+
+/**
+ * Sessions of an event. Events without sessions behave as a single implicit
+ * session spanning the event window, with a null _id.
+ * @param {Object} event - Event document
+ * @returns {Array<Object>}
+ */
+function getEventSessions(event) {
+  if (event.sessions && event.sessions.length > 0) {
+    return event.sessions;
+  }
+  return [
+    {
+      _id: null,
+      name: event.competitionName,
+      start_time: event.start_time,
+      end_time: event.end_time,
+      venues: [],
+    },
+  ];
+}
+
+const MINUTE = 60 * 1000;
+
+// minutes after a session starts that check-ins still count as on time
+const DEFAULT_LATE_AFTER_MINUTES = 15;
+
+const ARRIVAL_STATUS = {
+  EARLY: "early",
+  ON_TIME: "on-time",
+  LATE: "late",
+};
+
+/**
+ * Whether check-in for a session is open at the given time. It opens the
+ * event's early_open_minutes before the session starts and stays open for
+ * late_grace_minutes after it ends.
+ * @param {Object} event - Event document
+ * @param {Object} session - One of getEventSessions(event)
+ * @param {Date} [at]
+ * @returns {boolean}
+ */
+function isCheckInOpen(event, session, at = new Date()) {
+  const earlyOpen = (event.early_open_minutes || 0) * MINUTE;
+  const lateGrace = (event.late_grace_minutes || 0) * MINUTE;
+  return (
+    at - new Date(session.start_time) >= -earlyOpen &&
+    at - new Date(session.end_time) <= lateGrace
+  );
+}
+
+/**
+ * The session open for check-in at the given time, see isCheckInOpen
+ * @param {Object} event - Event document
+ * @param {Date} [now]
+ * @returns {Object|null}
+ */
+function resolveOpenSession(event, now = new Date()) {
+  return (
+    getEventSessions(event).find((session) =>
+      isCheckInOpen(event, session, now)
+    ) || null
+  );
+}
+
+/**
+ * Classify a check-in against its session: before the start is early, up to
+ * the event's late_after_minutes after the start is on time, anything later
+ * is late
+ * @param {Object} session - Session being checked into
+ * @param {Date} [at]
+ * @param {number} [lateAfterMinutes] - The event's late_after_minutes
+ * @returns {string} One of ARRIVAL_STATUS
+ */
+function classifyArrival(
+  session,
+  at = new Date(),
+  lateAfterMinutes = DEFAULT_LATE_AFTER_MINUTES
+) {
+  const sinceStart = at - new Date(session.start_time);
+  if (sinceStart < 0) {
+    return ARRIVAL_STATUS.EARLY;
+  }
+  if (sinceStart > (lateAfterMinutes ?? DEFAULT_LATE_AFTER_MINUTES) * MINUTE) {
+    return ARRIVAL_STATUS.LATE;
+  }
+  return ARRIVAL_STATUS.ON_TIME;
+}
+
+/**
+ * Validate sessions submitted by an admin: named, unique, well-formed and
+ * non-overlapping windows
+ * @param {Array<Object>} sessions
+ * @returns {string|null} Error message, or null if the sessions are valid
+ */
+function validateSessions(sessions) {
+  const names = new Set();
+  for (const session of sessions) {
+    if (!session || !session.name || typeof session.name !== "string") {
+      return "Session name is required";
+    }
+    if (names.has(session.name)) {
+      return "Session names must be unique";
+    }
+    names.add(session.name);
+
+    const start = new Date(session.start_time);
+    const end = new Date(session.end_time);
+    if (isNaN(start) || isNaN(end)) {
+      return `Invalid start or end time for session "${session.name}"`;
+    }
+    if (end <= start) {
+      return `End time must be after start time for session "${session.name}"`;
+    }
+  }
+
+  const sorted = [...sessions].sort(
+    (a, b) => new Date(a.start_time) - new Date(b.start_time)
+  );
+  for (let i = 1; i < sorted.length; i++) {
+    if (new Date(sorted[i].start_time) < new Date(sorted[i - 1].end_time)) {
+      return `Sessions "${sorted[i - 1].name}" and "${sorted[i].name}" overlap`;
+    }
+  }
+  return null;
+}
+
+const sameSession = (entry, session) =>
+  String(entry.session) === String(session._id);
+
+/**
+ * Attendance entries a team has for one session
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Object} session
+ * @returns {Array<Object>}
+ */
+function getSessionEntries(team, session) {
+  return (team["Session Attendance"] || []).filter((entry) =>
+    sameSession(entry, session)
+  );
+}
+
+/**
+ * Whether a member (or anyone on the team, when member is empty) is checked
+ * in for a session. Implicit sessions use the team's overall attendance.
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Object} session
+ * @param {string|null} member - Member slot
+ * @returns {boolean}
+ */
+function isMarkedForSession(team, session, member) {
+  if (!session._id) {
+    return member
+      ? isMemberMarked(team, member)
+      : Boolean(team["Attendance Marked"]);
+  }
+  const entries = getSessionEntries(team, session);
+  return member
+    ? entries.some((entry) => entry.member === member)
+    : entries.length > 0;
+}
+
+/**
+ * Whether a member (or the whole team, when member is empty) has nobody left
+ * to check out of a session. Implicit sessions use the team's overall state.
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Object} session
+ * @param {string|null} member - Member slot
+ * @returns {boolean}
+ */
+function isCheckedOutForSession(team, session, member) {
+  if (!session._id) {
+    return isCheckedOut(team, member);
+  }
+  return !getSessionEntries(team, session).some(
+    (entry) => !entry.checkedOutAt && (!member || entry.member === member)
+  );
+}
+
+/**
+ * Record a check-in for a session
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Object} session
+ * @param {string|null} member - Member slot, null for the whole team
+ * @param {Date} [at]
+ * @param {string|null} [arrivalStatus] - From classifyArrival
+ */
+function markSessionAttendance(
+  team,
+  session,
+  member,
+  at = new Date(),
+  arrivalStatus = null
+) {
+  if (!session._id) return;
+  if (!team["Session Attendance"]) {
+    team["Session Attendance"] = [];
+  }
+  team["Session Attendance"].push({
+    session: session._id,
+    sessionName: session.name,
+    member,
+    markedAt: at,
+    checkedOutAt: null,
+    arrivalStatus,
+  });
+}
+
+/**
+ * Check a member out of a session, or everyone on the team when member is
+ * empty
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Object} session
+ * @param {string|null} member - Member slot
+ * @param {Date} [at]
+ */
+function checkOutSessionAttendance(team, session, member, at = new Date()) {
+  getSessionEntries(team, session)
+    .filter((entry) => !entry.checkedOutAt && (!member || entry.member === member))
+    .forEach((entry) => {
+      entry.checkedOutAt = at;
+    });
+}
+
+/**
+ * Remove a team's (or one member's) entries for every session
+ * @param {Object} team - CodersCupAttendance document
+ * @param {string|null} [member] - Member slot, empty to clear the whole team
+ */
+function clearSessionAttendance(team, member = null) {
+  if (!team["Session Attendance"]) return;
+  team["Session Attendance"] = team["Session Attendance"].filter(
+    (entry) => member && entry.member !== member
+  );
+}
+
+module.exports = {
+  ARRIVAL_STATUS,
+  DEFAULT_LATE_AFTER_MINUTES,
+  getEventSessions,
+  isCheckInOpen,
+  resolveOpenSession,
+  classifyArrival,
+  validateSessions,
+  getSessionEntries,
+  isMarkedForSession,
+  isCheckedOutForSession,
+  markSessionAttendance,
+  checkOutSessionAttendance,
+  clearSessionAttendance,
+};
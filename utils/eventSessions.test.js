@@ -0,0 +1,167 @@
+const {
+  getEventSessions,
+  resolveOpenSession,
+  classifyArrival,
+  validateSessions,
+  isMarkedForSession,
+  isCheckedOutForSession,
+  markSessionAttendance,
+  checkOutSessionAttendance,
+  clearSessionAttendance,
+} = require("./eventSessions");
+
+const preliminary = {
+  _id: "session-prelim",
+  name: "Preliminary",
+  start_time: new Date("2025-04-17T05:00:00Z"),
+  end_time: new Date("2025-04-17T07:00:00Z"),
+  venues: [],
+};
+const final = {
+  _id: "session-final",
+  name: "Final",
+  start_time: new Date("2025-04-18T05:00:00Z"),
+  end_time: new Date("2025-04-18T08:00:00Z"),
+  venues: [],
+};
+const event = {
+  competitionName: "Speed Programming",
+  start_time: preliminary.start_time,
+  end_time: final.end_time,
+  sessions: [preliminary, final],
+};
+
+describe("getEventSessions", () => {
+  it("should treat single-window events as one implicit session", () => {
+    const single = {
+      competitionName: "SQL Saga",
+      start_time: preliminary.start_time,
+      end_time: preliminary.end_time,
+      sessions: [],
+    };
+    expect(getEventSessions(single)).toEqual([
+      {
+        _id: null,
+        name: "SQL Saga",
+        start_time: preliminary.start_time,
+        end_time: preliminary.end_time,
+        venues: [],
+      },
+    ]);
+  });
+});
+
+describe("resolveOpenSession", () => {
+  it("should find the session that is currently open", () => {
+    expect(resolveOpenSession(event, new Date("2025-04-18T06:00:00Z"))).toBe(
+      final
+    );
+  });
+
+  it("should return null between sessions", () => {
+    expect(resolveOpenSession(event, new Date("2025-04-17T12:00:00Z"))).toBe(
+      null
+    );
+  });
+
+  it("should open check-in early and keep it open through the grace period", () => {
+    const graceful = { ...event, early_open_minutes: 30, late_grace_minutes: 15 };
+    const early = new Date("2025-04-18T04:45:00Z");
+    const late = new Date("2025-04-18T08:10:00Z");
+
+    expect(resolveOpenSession(event, early)).toBe(null);
+    expect(resolveOpenSession(event, late)).toBe(null);
+    expect(resolveOpenSession(graceful, early)).toBe(final);
+    expect(resolveOpenSession(graceful, late)).toBe(final);
+    expect(resolveOpenSession(graceful, new Date("2025-04-18T08:20:00Z"))).toBe(
+      null
+    );
+  });
+});
+
+describe("classifyArrival", () => {
+  it("should classify check-ins before the start as early", () => {
+    expect(classifyArrival(final, new Date("2025-04-18T04:50:00Z"))).toBe(
+      "early"
+    );
+  });
+
+  it("should classify check-ins soon after the start as on time", () => {
+    expect(classifyArrival(final, new Date("2025-04-18T05:00:00Z"))).toBe(
+      "on-time"
+    );
+    expect(classifyArrival(final, new Date("2025-04-18T05:15:00Z"))).toBe(
+      "on-time"
+    );
+  });
+
+  it("should classify check-ins past the on-time window as late", () => {
+    expect(classifyArrival(final, new Date("2025-04-18T05:16:00Z"))).toBe(
+      "late"
+    );
+    expect(classifyArrival(final, new Date("2025-04-18T07:00:00Z"))).toBe(
+      "late"
+    );
+    expect(classifyArrival(final, new Date("2025-04-18T08:05:00Z"))).toBe(
+      "late"
+    );
+  });
+
+  it("should use the event's on-time window", () => {
+    const at = new Date("2025-04-18T05:30:00Z");
+    expect(classifyArrival(final, at, 45)).toBe("on-time");
+    expect(classifyArrival(final, at, 0)).toBe("late");
+  });
+});
+
+describe("validateSessions", () => {
+  it("should accept well-formed sessions", () => {
+    expect(validateSessions([preliminary, final])).toBeNull();
+  });
+
+  it("should reject overlapping windows", () => {
+    const overlapping = {
+      ...final,
+      start_time: new Date("2025-04-17T06:00:00Z"),
+    };
+    expect(validateSessions([preliminary, overlapping])).toMatch(/overlap/);
+  });
+
+  it("should reject duplicate names and inverted windows", () => {
+    expect(validateSessions([preliminary, { ...final, name: "Preliminary" }]))
+      .toMatch(/unique/);
+    expect(
+      validateSessions([{ ...final, end_time: final.start_time }])
+    ).toMatch(/End time must be after start time/);
+  });
+});
+
+describe("session attendance", () => {
+  it("should track check-ins and check-outs per session", () => {
+    const team = { "Session Attendance": [] };
+    const at = new Date("2025-04-17T05:05:00Z");
+
+    markSessionAttendance(team, preliminary, "leader", at);
+    expect(isMarkedForSession(team, preliminary, "leader")).toBe(true);
+    expect(isMarkedForSession(team, preliminary, "member1")).toBe(false);
+    expect(isMarkedForSession(team, final, "leader")).toBe(false);
+
+    expect(isCheckedOutForSession(team, preliminary, "leader")).toBe(false);
+    checkOutSessionAttendance(team, preliminary, null, at);
+    expect(isCheckedOutForSession(team, preliminary, "leader")).toBe(true);
+  });
+
+  it("should clear one member or the whole team", () => {
+    const team = { "Session Attendance": [] };
+    markSessionAttendance(team, preliminary, "leader");
+    markSessionAttendance(team, preliminary, "member1");
+
+    clearSessionAttendance(team, "leader");
+    expect(team["Session Attendance"].map((entry) => entry.member)).toEqual([
+      "member1",
+    ]);
+
+    clearSessionAttendance(team);
+    expect(team["Session Attendance"]).toEqual([]);
+  });
+});
@@ -0,0 +1,223 @@
+const EARTH_RADIUS = 6371e3; // Earth's radius in meters
+
+const toRadians = (degrees) => degrees * (Math.PI / 180);
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @returns {number} Distance in meters
+ */
+function calculateDistance(lat1, lng1, lat2, lng2) {
+  const f1 = toRadians(lat1);
+  const f2 = toRadians(lat2);
+  const df = toRadians(lat2 - lat1);
+  const dl = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(df / 2) * Math.sin(df / 2) +
+    Math.cos(f1) * Math.cos(f2) * Math.sin(dl / 2) * Math.sin(dl / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS * c;
+}
+
+/**
+ * Ray casting test against a single linear ring of [lng, lat] positions
+ */
+function isPointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects =
+      yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (intersects) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Point-in-polygon test for a GeoJSON Polygon (first ring is the outer
+ * boundary, any further rings are holes)
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Object} polygon - GeoJSON Polygon geometry
+ * @returns {boolean}
+ */
+function isPointInPolygon(lat, lng, polygon) {
+  const [outer, ...holes] = polygon.coordinates;
+  if (!isPointInRing(lat, lng, outer)) return false;
+  return !holes.some((hole) => isPointInRing(lat, lng, hole));
+}
+
+/**
+ * Distance from a point to the closest edge of a GeoJSON Polygon, 0 if the
+ * point is inside. Edges are projected onto a local flat plane around the
+ * point, which is accurate enough at venue scale.
+ * @returns {number} Distance in meters
+ */
+function distanceToPolygon(lat, lng, polygon) {
+  if (isPointInPolygon(lat, lng, polygon)) return 0;
+
+  const metersPerDegLat = (Math.PI * EARTH_RADIUS) / 180;
+  const metersPerDegLng = metersPerDegLat * Math.cos(toRadians(lat));
+  const project = ([pLng, pLat]) => [
+    (pLng - lng) * metersPerDegLng,
+    (pLat - lat) * metersPerDegLat,
+  ];
+
+  let min = Infinity;
+  for (const ring of polygon.coordinates) {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [ax, ay] = project(ring[i]);
+      const [bx, by] = project(ring[i + 1]);
+      const dx = bx - ax;
+      const dy = by - ay;
+      const lengthSq = dx * dx + dy * dy;
+      // closest point on segment AB to the origin (the participant)
+      const t =
+        lengthSq === 0
+          ? 0
+          : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+      min = Math.min(min, Math.hypot(ax + t * dx, ay + t * dy));
+    }
+  }
+  return min;
+}
+
+/**
+ * How far outside a venue a point is, 0 when inside
+ * @param {Object} venue - circle ({ latitude, longitude, radius }) or polygon venue
+ * @returns {number} Distance in meters
+ */
+function distanceOutsideVenue(venue, lat, lng) {
+  if (venue.type === "polygon") {
+    return distanceToPolygon(lat, lng, venue.polygon);
+  }
+  const distance = calculateDistance(lat, lng, venue.latitude, venue.longitude);
+  return Math.max(0, distance - venue.radius);
+}
+
+/**
+ * Venues an event accepts check-ins from. A session's own venues win over the
+ * event's, and events without named venues fall back to their single circular
+ * geofence.
+ * @param {Object} event - Event document
+ * @param {Object} [session] - Session being checked into
+ * @returns {Array<Object>}
+ */
+function getEventVenues(event, session = null) {
+  if (session && session.venues && session.venues.length > 0) {
+    return session.venues;
+  }
+  if (event.venues && event.venues.length > 0) {
+    return event.venues;
+  }
+  const { latitude, longitude, radius } = event.geofence;
+  return [
+    {
+      name: event.competitionName || "Main venue",
+      type: "circle",
+      latitude,
+      longitude,
+      radius,
+    },
+  ];
+}
+
+/**
+ * Find the venue a point falls in, or the nearest one if it is outside all
+ * @param {Array<Object>} venues
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {{ matched: boolean, venue: Object|null, distanceOutside: number }}
+ */
+function matchVenue(venues, lat, lng) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return { matched: false, venue: null, distanceOutside: Infinity };
+  }
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const venue of venues) {
+    const distance = distanceOutsideVenue(venue, lat, lng);
+    if (distance === 0) {
+      return { matched: true, venue, distanceOutside: 0 };
+    }
+    if (distance < nearestDistance) {
+      nearest = venue;
+      nearestDistance = distance;
+    }
+  }
+  return { matched: false, venue: nearest, distanceOutside: nearestDistance };
+}
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = (value) =>
+  Number.isFinite(value) && value >= -180 && value <= 180;
+
+/**
+ * Validate a venue definition submitted by an admin
+ * @param {Object} venue
+ * @returns {string|null} Error message, or null if the venue is valid
+ */
+function validateVenue(venue) {
+  if (!venue || typeof venue !== "object") {
+    return "Venue must be an object";
+  }
+  if (!venue.name || typeof venue.name !== "string") {
+    return "Venue name is required";
+  }
+
+  const type = venue.type || "circle";
+  if (type === "circle") {
+    if (!isLatitude(venue.latitude) || !isLongitude(venue.longitude)) {
+      return `Invalid coordinates for venue "${venue.name}"`;
+    }
+    if (!Number.isFinite(venue.radius) || venue.radius <= 0) {
+      return `Radius for venue "${venue.name}" must be a positive number of meters`;
+    }
+    return null;
+  }
+
+  if (type === "polygon") {
+    const polygon = venue.polygon;
+    if (
+      !polygon ||
+      polygon.type !== "Polygon" ||
+      !Array.isArray(polygon.coordinates) ||
+      polygon.coordinates.length === 0
+    ) {
+      return `Venue "${venue.name}" must have a GeoJSON Polygon geometry`;
+    }
+    for (const ring of polygon.coordinates) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return `Polygon rings for venue "${venue.name}" need at least 4 positions`;
+      }
+      const valid = ring.every(
+        (position) =>
+          Array.isArray(position) &&
+          isLongitude(position[0]) &&
+          isLatitude(position[1])
+      );
+      if (!valid) {
+        return `Polygon for venue "${venue.name}" has invalid [lng, lat] positions`;
+      }
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return `Polygon rings for venue "${venue.name}" must be closed`;
+      }
+    }
+    return null;
+  }
+
+  return `Unknown venue type "${type}" (expected circle or polygon)`;
+}
+
+module.exports = {
+  calculateDistance,
+  isPointInPolygon,
+  distanceToPolygon,
+  distanceOutsideVenue,
+  getEventVenues,
+  matchVenue,
+  validateVenue,
+};
@@ -0,0 +1,153 @@
+const {
+  calculateDistance,
+  isPointInPolygon,
+  distanceToPolygon,
+  getEventVenues,
+  matchVenue,
+  validateVenue,
+} = require("./geofence");
+
+// Small square around the FAST Karachi main building, [lng, lat] positions
+const campusPolygon = {
+  type: "Polygon",
+  coordinates: [
+    [
+      [67.2635, 24.856],
+      [67.2655, 24.856],
+      [67.2655, 24.8578],
+      [67.2635, 24.8578],
+      [67.2635, 24.856],
+    ],
+  ],
+};
+
+const venues = [
+  { name: "Main Campus", type: "polygon", polygon: campusPolygon },
+  {
+    name: "Expo Centre",
+    type: "circle",
+    latitude: 24.8999,
+    longitude: 67.0745,
+    radius: 300,
+  },
+];
+
+describe("calculateDistance", () => {
+  it("should return 0 for identical points", () => {
+    expect(calculateDistance(24.85, 67.26, 24.85, 67.26)).toBe(0);
+  });
+
+  it("should return roughly 111 km per degree of latitude", () => {
+    const distance = calculateDistance(24, 67, 25, 67);
+    expect(distance).toBeGreaterThan(110000);
+    expect(distance).toBeLessThan(112000);
+  });
+});
+
+describe("isPointInPolygon", () => {
+  it("should detect points inside and outside the polygon", () => {
+    expect(isPointInPolygon(24.857, 67.2645, campusPolygon)).toBe(true);
+    expect(isPointInPolygon(24.86, 67.2645, campusPolygon)).toBe(false);
+  });
+
+  it("should treat points inside a hole as outside", () => {
+    const withHole = {
+      type: "Polygon",
+      coordinates: [
+        ...campusPolygon.coordinates,
+        [
+          [67.264, 24.8565],
+          [67.265, 24.8565],
+          [67.265, 24.8573],
+          [67.264, 24.8573],
+          [67.264, 24.8565],
+        ],
+      ],
+    };
+    expect(isPointInPolygon(24.857, 67.2645, withHole)).toBe(false);
+    expect(isPointInPolygon(24.8562, 67.2637, withHole)).toBe(true);
+  });
+});
+
+describe("distanceToPolygon", () => {
+  it("should be 0 inside the polygon", () => {
+    expect(distanceToPolygon(24.857, 67.2645, campusPolygon)).toBe(0);
+  });
+
+  it("should measure the distance to the nearest edge", () => {
+    // ~0.001 degrees of latitude north of the top edge is ~111 m
+    const distance = distanceToPolygon(24.8588, 67.2645, campusPolygon);
+    expect(distance).toBeGreaterThan(105);
+    expect(distance).toBeLessThan(117);
+  });
+});
+
+describe("matchVenue", () => {
+  it("should return the venue containing the point", () => {
+    const result = matchVenue(venues, 24.8998, 67.0746);
+    expect(result.matched).toBe(true);
+    expect(result.venue.name).toBe("Expo Centre");
+    expect(result.distanceOutside).toBe(0);
+  });
+
+  it("should return the nearest venue when outside all of them", () => {
+    const result = matchVenue(venues, 24.8588, 67.2645);
+    expect(result.matched).toBe(false);
+    expect(result.venue.name).toBe("Main Campus");
+    expect(result.distanceOutside).toBeGreaterThan(100);
+  });
+
+  it("should not match invalid coordinates", () => {
+    const result = matchVenue(venues, NaN, 67.2645);
+    expect(result.matched).toBe(false);
+    expect(result.venue).toBeNull();
+  });
+});
+
+describe("getEventVenues", () => {
+  it("should fall back to the event geofence when no venues are set", () => {
+    const event = {
+      competitionName: "Speed Programming",
+      geofence: { latitude: 24.8568496, longitude: 67.2644237, radius: 2500 },
+      venues: [],
+    };
+    expect(getEventVenues(event)).toEqual([
+      {
+        name: "Speed Programming",
+        type: "circle",
+        latitude: 24.8568496,
+        longitude: 67.2644237,
+        radius: 2500,
+      },
+    ]);
+  });
+
+  it("should prefer named venues", () => {
+    expect(getEventVenues({ venues, geofence: {} })).toBe(venues);
+  });
+});
+
+describe("validateVenue", () => {
+  it("should accept valid circle and polygon venues", () => {
+    venues.forEach((venue) => expect(validateVenue(venue)).toBeNull());
+  });
+
+  it("should reject unclosed polygons", () => {
+    const ring = campusPolygon.coordinates[0].slice(0, 4);
+    const error = validateVenue({
+      name: "Open",
+      type: "polygon",
+      polygon: { type: "Polygon", coordinates: [[...ring, [67.2636, 24.856]]] },
+    });
+    expect(error).toMatch(/must be closed/);
+  });
+
+  it("should reject circles without a radius", () => {
+    const error = validateVenue({
+      name: "No Radius",
+      latitude: 24.85,
+      longitude: 67.26,
+    });
+    expect(error).toMatch(/Radius/);
+  });
+});
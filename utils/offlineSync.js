@@ -0,0 +1,140 @@
+// Check-ins recorded by volunteers while the venue was offline, uploaded later
+const crypto = require("crypto");
+const { MEMBER_SLOTS, isMemberSlot } = require("./teamMembers");
+const {
+  getEventSessions,
+  getSessionEntries,
+  isCheckInOpen,
+} = require("./eventSessions");
+
+const MAX_SYNC_BATCH = 500;
+const MAX_CLOCK_AHEAD = 5 * 60 * 1000; // device clocks may run slightly fast
+
+// Outcome of each record in a sync batch
+const SYNC_STATUS = {
+  APPLIED: "applied", // checked in from this record
+  BACKDATED: "backdated", // already checked in, moved to the earlier offline time
+  ALREADY_MARKED: "already_marked", // already checked in earlier, nothing changed
+  DUPLICATE: "duplicate", // this record was synced before
+  REJECTED: "rejected", // invalid, see reason
+};
+
+/**
+ * Identity of an offline record, the same check-in uploaded twice gets the same key
+ * @param {Object} record - { att_code, member, client_timestamp, device_id }
+ * @returns {string} sha256 hex digest
+ */
+function syncRecordKey({ att_code, member = null, client_timestamp, device_id }) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        device_id,
+        att_code,
+        member,
+        new Date(client_timestamp).getTime(),
+      ])
+    )
+    .digest("hex");
+}
+
+/**
+ * Validate a single offline record
+ * @param {Object} record
+ * @param {number} [now]
+ * @returns {string|null} Error message, or null if the record is valid
+ */
+function validateSyncRecord(record, now = Date.now()) {
+  if (!record || typeof record !== "object") {
+    return "Record must be an object";
+  }
+  if (!record.att_code || typeof record.att_code !== "string") {
+    return "att_code is required";
+  }
+  if (!record.device_id || typeof record.device_id !== "string") {
+    return "device_id is required";
+  }
+  if (record.member != null && !isMemberSlot(record.member)) {
+    return "Invalid member (expected leader, member1 or member2)";
+  }
+  const at = new Date(record.client_timestamp);
+  if (record.client_timestamp == null || isNaN(at)) {
+    return "client_timestamp is not a valid time";
+  }
+  if (at - now > MAX_CLOCK_AHEAD) {
+    return "client_timestamp is in the future";
+  }
+  return null;
+}
+
+/**
+ * Check an offline check-in time against the check-in window of its session
+ * (or of the event, for single-window events), early-open and grace periods
+ * included, so records can't be backdated to before or after the event
+ * @param {Object|null} event - The team's event
+ * @param {Object|null} session - Session from the record, null for single-window events
+ * @param {Date} at - client_timestamp of the record
+ * @returns {string|null} Error message, or null if the time is within the window
+ */
+function validateSyncTime(event, session, at) {
+  if (!event) {
+    return "Event not found";
+  }
+  const window = session || getEventSessions(event)[0];
+  if (!isCheckInOpen(event, window, at)) {
+    return `client_timestamp is outside check-in for ${
+      session ? `session "${session.name}"` : "the event"
+    }`;
+  }
+  return null;
+}
+
+/**
+ * Conflict resolution for a check-in that is already recorded: the earliest
+ * check-in wins, so an offline record older than the stored one moves the
+ * stored check-in time (and arrival status) back to it.
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Object} checkIn
+ * @param {string|null} checkIn.member - Member slot, null for the whole team
+ * @param {Object|null} checkIn.session - Session of a multi-session event
+ * @param {Date} checkIn.at - Offline check-in time
+ * @param {string|null} checkIn.arrivalStatus
+ * @returns {boolean} Whether anything was moved back
+ */
+function backdateCheckIn(team, { member, session, at, arrivalStatus }) {
+  const isEarlier = (markedAt) => !markedAt || at < new Date(markedAt);
+  let changed = false;
+
+  if (member) {
+    const attendance = team[MEMBER_SLOTS[member].attendance];
+    if (attendance && attendance.marked && isEarlier(attendance.markedAt)) {
+      attendance.markedAt = at;
+      attendance.arrivalStatus = arrivalStatus;
+      changed = true;
+    }
+  }
+  if (team["Attendance Marked"] && isEarlier(team["Attendance Marked At"])) {
+    team["Attendance Marked At"] = at;
+    team["Arrival Status"] = arrivalStatus;
+    changed = true;
+  }
+  if (session && session._id) {
+    getSessionEntries(team, session)
+      .filter((entry) => entry.member === member && isEarlier(entry.markedAt))
+      .forEach((entry) => {
+        entry.markedAt = at;
+        entry.arrivalStatus = arrivalStatus;
+        changed = true;
+      });
+  }
+  return changed;
+}
+
+module.exports = {
+  MAX_SYNC_BATCH,
+  SYNC_STATUS,
+  syncRecordKey,
+  validateSyncRecord,
+  validateSyncTime,
+  backdateCheckIn,
+};
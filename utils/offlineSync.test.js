@@ -0,0 +1,178 @@
+const {
+  syncRecordKey,
+  validateSyncRecord,
+  validateSyncTime,
+  backdateCheckIn,
+} = require("./offlineSync");
+const { markMember, markTeam } = require("./teamMembers");
+const { markSessionAttendance } = require("./eventSessions");
+
+const record = {
+  att_code: "CC-1234",
+  device_id: "door-phone-1",
+  client_timestamp: "2025-04-17T05:05:00Z",
+};
+
+function makeTeam() {
+  return {
+    "Team Name": "Segfault Survivors",
+    "Leader Name": "Ayesha Khan",
+    "Member 1 Name": "Bilal Ahmed",
+    "Member 2 Name": "",
+    "Attendance Marked": false,
+  };
+}
+
+describe("syncRecordKey", () => {
+  it("should give the same key to the same check-in", () => {
+    const sameTime = Date.parse(record.client_timestamp);
+    expect(syncRecordKey({ ...record, client_timestamp: sameTime })).toBe(
+      syncRecordKey(record)
+    );
+  });
+
+  it("should tell apart devices and members", () => {
+    expect(syncRecordKey({ ...record, device_id: "door-phone-2" })).not.toBe(
+      syncRecordKey(record)
+    );
+    expect(syncRecordKey({ ...record, member: "leader" })).not.toBe(
+      syncRecordKey(record)
+    );
+  });
+});
+
+describe("validateSyncRecord", () => {
+  const now = Date.parse("2025-04-17T06:00:00Z");
+
+  it("should accept a complete record", () => {
+    expect(validateSyncRecord(record, now)).toBeNull();
+  });
+
+  it("should require the att code, device and a valid time", () => {
+    expect(validateSyncRecord({ ...record, att_code: "" }, now)).toBe(
+      "att_code is required"
+    );
+    expect(validateSyncRecord({ ...record, device_id: undefined }, now)).toBe(
+      "device_id is required"
+    );
+    expect(
+      validateSyncRecord({ ...record, client_timestamp: "yesterday" }, now)
+    ).toBe("client_timestamp is not a valid time");
+  });
+
+  it("should reject check-ins from the future", () => {
+    const future = { ...record, client_timestamp: "2025-04-17T07:00:00Z" };
+    expect(validateSyncRecord(future, now)).toBe(
+      "client_timestamp is in the future"
+    );
+  });
+
+  it("should reject unknown members", () => {
+    expect(validateSyncRecord({ ...record, member: "coach" }, now)).toBe(
+      "Invalid member (expected leader, member1 or member2)"
+    );
+  });
+});
+
+describe("validateSyncTime", () => {
+  const event = {
+    competitionName: "Speed Programming",
+    start_time: new Date("2025-04-17T05:00:00Z"),
+    end_time: new Date("2025-04-17T08:00:00Z"),
+    early_open_minutes: 30,
+    late_grace_minutes: 15,
+    sessions: [],
+  };
+  const final = {
+    _id: "final",
+    name: "Final",
+    start_time: new Date("2025-04-18T05:00:00Z"),
+    end_time: new Date("2025-04-18T06:00:00Z"),
+  };
+
+  it("should accept check-ins from the early-open to the end of the grace period", () => {
+    expect(validateSyncTime(event, null, new Date("2025-04-17T04:30:00Z"))).toBeNull();
+    expect(validateSyncTime(event, null, new Date("2025-04-17T08:15:00Z"))).toBeNull();
+  });
+
+  it("should reject check-ins before check-in opened", () => {
+    expect(validateSyncTime(event, null, new Date("2025-04-17T04:29:59Z"))).toBe(
+      "client_timestamp is outside check-in for the event"
+    );
+    expect(validateSyncTime(event, null, new Date("2024-01-01T00:00:00Z"))).toBe(
+      "client_timestamp is outside check-in for the event"
+    );
+  });
+
+  it("should reject check-ins after check-in closed", () => {
+    expect(validateSyncTime(event, null, new Date("2025-04-17T08:15:01Z"))).toBe(
+      "client_timestamp is outside check-in for the event"
+    );
+  });
+
+  it("should hold a named session to its own window", () => {
+    const sessioned = { ...event, sessions: [final] };
+    expect(
+      validateSyncTime(sessioned, final, new Date("2025-04-18T05:30:00Z"))
+    ).toBeNull();
+    expect(
+      validateSyncTime(sessioned, final, new Date("2025-04-17T06:00:00Z"))
+    ).toBe('client_timestamp is outside check-in for session "Final"');
+  });
+
+  it("should reject teams whose event is gone", () => {
+    expect(validateSyncTime(null, null, new Date())).toBe("Event not found");
+  });
+});
+
+describe("backdateCheckIn", () => {
+  const online = new Date("2025-04-17T05:10:00Z");
+  const offline = new Date("2025-04-17T05:05:00Z");
+
+  it("should move a later check-in back to the offline time", () => {
+    const team = makeTeam();
+    markMember(team, "leader", online, "late");
+
+    expect(
+      backdateCheckIn(team, {
+        member: "leader",
+        session: null,
+        at: offline,
+        arrivalStatus: "on-time",
+      })
+    ).toBe(true);
+    expect(team["Leader Attendance"].markedAt).toEqual(offline);
+    expect(team["Leader Attendance"].arrivalStatus).toBe("on-time");
+    expect(team["Attendance Marked At"]).toEqual(offline);
+  });
+
+  it("should keep an earlier check-in", () => {
+    const team = makeTeam();
+    markTeam(team, offline);
+
+    expect(
+      backdateCheckIn(team, {
+        member: null,
+        session: null,
+        at: online,
+        arrivalStatus: "late",
+      })
+    ).toBe(false);
+    expect(team["Attendance Marked At"]).toEqual(offline);
+  });
+
+  it("should backdate the session entry", () => {
+    const team = makeTeam();
+    const session = { _id: "session-final", name: "Final" };
+    markTeam(team, online);
+    markSessionAttendance(team, session, null, online);
+
+    backdateCheckIn(team, {
+      member: null,
+      session,
+      at: offline,
+      arrivalStatus: null,
+    });
+    expect(team["Session Attendance"][0].markedAt).toEqual(offline);
+  });
+});
@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+const { AttendancePayload, RejectedAttempt } = require("../models/Models");
+const logger = require("./logger")("ReplayProtection");
+
+const FRESHNESS_WINDOW = 60 * 1000; // payloads older (or newer) than 1 minute are stale
+
+// Error codes returned to clients and stored with rejected attempts
+const REJECTION_CODES = {
+  STALE_PAYLOAD: "STALE_PAYLOAD",
+  REPLAYED_PAYLOAD: "REPLAYED_PAYLOAD",
+  INVALID_CHALLENGE: "INVALID_CHALLENGE",
+  INVALID_QR_TOKEN: "INVALID_QR_TOKEN",
+};
+
+// JSON.stringify with sorted keys so equivalent payloads hash identically
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash the parts of a /mark submission that identify it
+ * @param {Object} payload - { att_code, member, coordinates, timestamp }
+ * @returns {string} sha256 hex digest
+ */
+function hashPayload({ att_code, member = null, coordinates, timestamp }) {
+  return crypto
+    .createHash("sha256")
+    .update(canonicalize({ att_code, member, coordinates, timestamp }))
+    .digest("hex");
+}
+
+/**
+ * Check that a client timestamp lies within the freshness window
+ * @param {number} timestamp - Client time in ms since epoch
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isFresh(timestamp, now = Date.now()) {
+  const time = Number(timestamp);
+  return Number.isFinite(time) && Math.abs(now - time) <= FRESHNESS_WINDOW;
+}
+
+/**
+ * Remember a payload hash for the freshness window
+ * @returns {Promise<boolean>} false if the payload was already seen
+ */
+async function registerPayload(hash, attCode) {
+  try {
+    await AttendancePayload.create({
+      hash,
+      attCode,
+      // anything older than the window is rejected as stale anyway
+      expiresAt: new Date(Date.now() + 2 * FRESHNESS_WINDOW),
+    });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Store a rejected /mark submission for admin review. Never throws, a logging
+ * failure should not change the response the client gets.
+ * @param {Object} req - Express request
+ * @param {Object} details - { code, reason, payloadHash }
+ */
+async function recordRejectedAttempt(req, { code, reason, payloadHash = "" }) {
+  try {
+    await RejectedAttempt.create({
+      attCode: (req.body && req.body.att_code) || "",
+      code,
+      reason,
+      payloadHash,
+      ip: req.ip || "",
+      userAgent: req.get("user-agent") || "",
+    });
+  } catch (err) {
+    logger.error(`Failed to record rejected attempt: ${err.message}`);
+  }
+}
+
+module.exports = {
+  FRESHNESS_WINDOW,
+  REJECTION_CODES,
+  hashPayload,
+  isFresh,
+  registerPayload,
+  recordRejectedAttempt,
+};
@@ -0,0 +1,89 @@
+jest.mock("../models/Models", () => ({
+  AttendancePayload: {
+    create: jest.fn(),
+  },
+  RejectedAttempt: {
+    create: jest.fn().mockResolvedValue({}),
+  },
+}));
+jest.mock("./logger", () => () => ({ error: jest.fn() }));
+
+const { AttendancePayload, RejectedAttempt } = require("../models/Models");
+const {
+  FRESHNESS_WINDOW,
+  hashPayload,
+  isFresh,
+  registerPayload,
+  recordRejectedAttempt,
+} = require("./replayProtection");
+
+describe("hashPayload", () => {
+  it("should ignore key order", () => {
+    const a = hashPayload({
+      att_code: "CC-1",
+      timestamp: 1,
+      coordinates: { latitude: 1, longitude: 2, challenge: "x" },
+    });
+    const b = hashPayload({
+      timestamp: 1,
+      coordinates: { challenge: "x", longitude: 2, latitude: 1 },
+      att_code: "CC-1",
+    });
+    expect(a).toBe(b);
+  });
+
+  it("should differ when any field changes", () => {
+    const base = { att_code: "CC-1", timestamp: 1, coordinates: { latitude: 1 } };
+    expect(hashPayload(base)).not.toBe(hashPayload({ ...base, timestamp: 2 }));
+  });
+});
+
+describe("isFresh", () => {
+  const now = 1700000000000;
+
+  it("should accept timestamps within the window", () => {
+    expect(isFresh(now - FRESHNESS_WINDOW + 1, now)).toBe(true);
+    expect(isFresh(now + 1000, now)).toBe(true);
+  });
+
+  it("should reject old, future and missing timestamps", () => {
+    expect(isFresh(now - FRESHNESS_WINDOW - 1, now)).toBe(false);
+    expect(isFresh(now + FRESHNESS_WINDOW + 1, now)).toBe(false);
+    expect(isFresh(undefined, now)).toBe(false);
+  });
+});
+
+describe("registerPayload", () => {
+  it("should report duplicates via the unique index", async () => {
+    AttendancePayload.create.mockResolvedValueOnce({});
+    expect(await registerPayload("abc", "CC-1")).toBe(true);
+
+    AttendancePayload.create.mockRejectedValueOnce(
+      Object.assign(new Error("E11000 duplicate key"), { code: 11000 })
+    );
+    expect(await registerPayload("abc", "CC-1")).toBe(false);
+  });
+});
+
+describe("recordRejectedAttempt", () => {
+  it("should store request details with the rejection", async () => {
+    const req = {
+      body: { att_code: "CC-1" },
+      ip: "10.0.0.1",
+      get: () => "Mozilla/5.0",
+    };
+    await recordRejectedAttempt(req, {
+      code: "REPLAYED_PAYLOAD",
+      reason: "This submission was already received",
+      payloadHash: "abc",
+    });
+    expect(RejectedAttempt.create).toHaveBeenCalledWith({
+      attCode: "CC-1",
+      code: "REPLAYED_PAYLOAD",
+      reason: "This submission was already received",
+      payloadHash: "abc",
+      ip: "10.0.0.1",
+      userAgent: "Mozilla/5.0",
+    });
+  });
+});
@@ -0,0 +1,80 @@
+// Heuristics for spotting mock-location apps on /api/attendance/mark
+const SPOOF_FLAGS = {
+  ZERO_ACCURACY: "ZERO_ACCURACY",
+  MISSING_ACCURACY: "MISSING_ACCURACY",
+  TIMESTAMP_SKEW: "TIMESTAMP_SKEW",
+  UNREALISTIC_SPEED: "UNREALISTIC_SPEED",
+  IDENTICAL_COORDINATES: "IDENTICAL_COORDINATES",
+};
+
+const MAX_FIX_AGE = 5 * 60 * 1000; // GPS fix older than 5 minutes
+const MAX_FIX_AHEAD = 30 * 1000; // GPS fix more than 30 seconds in the future
+const MAX_SPEED = 50; // m/s, nobody walks into the venue at 180 km/h
+const IDENTICAL_COORDINATES_THRESHOLD = 2; // other teams already at the exact same point
+
+/**
+ * Pick the Geolocation API fields we keep from a submitted location
+ * @param {Object} coordinates - Submitted location payload
+ * @returns {Object} { latitude, longitude, accuracy, altitude, speed, timestamp }
+ */
+function extractLocation(coordinates) {
+  const toNumber = (value) =>
+    value === undefined || value === null || value === "" ? null : Number(value);
+  const timestamp = toNumber(coordinates.timestamp);
+
+  return {
+    latitude: Number(coordinates.latitude),
+    longitude: Number(coordinates.longitude),
+    accuracy: toNumber(coordinates.accuracy),
+    altitude: toNumber(coordinates.altitude),
+    speed: toNumber(coordinates.speed),
+    timestamp: Number.isFinite(timestamp) ? new Date(timestamp) : null,
+  };
+}
+
+/**
+ * Flag a location that looks spoofed
+ * @param {Object} location - Output of extractLocation
+ * @param {Object} context
+ * @param {number} context.identicalCount - Other teams seen at these exact coordinates
+ * @param {number} [context.now] - Server time in ms
+ * @returns {string[]} Flags from SPOOF_FLAGS, empty when nothing looks off
+ */
+function detectSpoofing(location, { identicalCount = 0, now = Date.now() } = {}) {
+  const flags = [];
+
+  if (location.accuracy === null || !Number.isFinite(location.accuracy)) {
+    flags.push(SPOOF_FLAGS.MISSING_ACCURACY);
+  } else if (location.accuracy <= 0) {
+    flags.push(SPOOF_FLAGS.ZERO_ACCURACY);
+  }
+
+  if (location.timestamp) {
+    const skew = location.timestamp.getTime() - now;
+    if (skew > MAX_FIX_AHEAD || -skew > MAX_FIX_AGE) {
+      flags.push(SPOOF_FLAGS.TIMESTAMP_SKEW);
+    }
+  } else {
+    flags.push(SPOOF_FLAGS.TIMESTAMP_SKEW);
+  }
+
+  if (Number.isFinite(location.speed) && location.speed > MAX_SPEED) {
+    flags.push(SPOOF_FLAGS.UNREALISTIC_SPEED);
+  }
+
+  if (identicalCount >= IDENTICAL_COORDINATES_THRESHOLD) {
+    flags.push(SPOOF_FLAGS.IDENTICAL_COORDINATES);
+  }
+
+  return flags;
+}
+
+module.exports = {
+  SPOOF_FLAGS,
+  MAX_FIX_AGE,
+  MAX_FIX_AHEAD,
+  MAX_SPEED,
+  IDENTICAL_COORDINATES_THRESHOLD,
+  extractLocation,
+  detectSpoofing,
+};
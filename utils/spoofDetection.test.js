@@ -0,0 +1,75 @@
+const {
+  SPOOF_FLAGS,
+  IDENTICAL_COORDINATES_THRESHOLD,
+  extractLocation,
+  detectSpoofing,
+} = require("./spoofDetection");
+
+const now = 1700000000000;
+const honest = {
+  latitude: 24.8568,
+  longitude: 67.2644,
+  accuracy: 14.2,
+  altitude: null,
+  speed: 0.4,
+  timestamp: new Date(now - 2000),
+};
+
+describe("extractLocation", () => {
+  it("should keep Geolocation API fields and drop the rest", () => {
+    const location = extractLocation({
+      latitude: "24.8568",
+      longitude: 67.2644,
+      accuracy: 20,
+      timestamp: now,
+      challenge: "abc",
+    });
+    expect(location).toEqual({
+      latitude: 24.8568,
+      longitude: 67.2644,
+      accuracy: 20,
+      altitude: null,
+      speed: null,
+      timestamp: new Date(now),
+    });
+  });
+});
+
+describe("detectSpoofing", () => {
+  it("should not flag a plausible reading", () => {
+    expect(detectSpoofing(honest, { now })).toEqual([]);
+  });
+
+  it("should flag zero and missing accuracy", () => {
+    expect(detectSpoofing({ ...honest, accuracy: 0 }, { now })).toEqual([
+      SPOOF_FLAGS.ZERO_ACCURACY,
+    ]);
+    expect(detectSpoofing({ ...honest, accuracy: null }, { now })).toEqual([
+      SPOOF_FLAGS.MISSING_ACCURACY,
+    ]);
+  });
+
+  it("should flag fixes from the future or long ago", () => {
+    const future = { ...honest, timestamp: new Date(now + 60 * 1000) };
+    const stale = { ...honest, timestamp: new Date(now - 60 * 60 * 1000) };
+    expect(detectSpoofing(future, { now })).toContain(
+      SPOOF_FLAGS.TIMESTAMP_SKEW
+    );
+    expect(detectSpoofing(stale, { now })).toContain(SPOOF_FLAGS.TIMESTAMP_SKEW);
+  });
+
+  it("should flag unrealistic speed", () => {
+    expect(detectSpoofing({ ...honest, speed: 90 }, { now })).toEqual([
+      SPOOF_FLAGS.UNREALISTIC_SPEED,
+    ]);
+  });
+
+  it("should flag many teams at identical coordinates", () => {
+    expect(
+      detectSpoofing(honest, {
+        now,
+        identicalCount: IDENTICAL_COORDINATES_THRESHOLD,
+      })
+    ).toEqual([SPOOF_FLAGS.IDENTICAL_COORDINATES]);
+  });
+});
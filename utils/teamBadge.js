@@ -0,0 +1,67 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+
+function getSecret() {
+  const secret = process.env.BADGE_SECRET;
+  if (!secret) {
+    throw new Error("BADGE_SECRET is not configured");
+  }
+  return secret;
+}
+
+function sign(attCode) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`badge.${attCode}`)
+    .digest("hex");
+}
+
+/**
+ * Signed badge token for a team, encoded in the QR code on their badge
+ * @param {string} attCode - Team attendance code
+ * @returns {string}
+ */
+function issueBadge(attCode) {
+  return `${attCode}.${sign(attCode)}`;
+}
+
+/**
+ * Verify a scanned badge token
+ * @param {string} badge - Token returned by issueBadge
+ * @returns {{valid: boolean, attCode?: string, reason?: string}}
+ */
+function verifyBadge(badge) {
+  if (typeof badge !== "string") {
+    return { valid: false, reason: "Badge missing" };
+  }
+
+  // att codes may contain dots, the signature never does
+  const separator = badge.lastIndexOf(".");
+  const attCode = badge.slice(0, separator);
+  const signature = badge.slice(separator + 1);
+  if (separator <= 0 || !signature) {
+    return { valid: false, reason: "Malformed badge" };
+  }
+
+  const expected = Buffer.from(sign(attCode), "hex");
+  const received = Buffer.from(signature, "hex");
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return { valid: false, reason: "Invalid badge signature" };
+  }
+
+  return { valid: true, attCode };
+}
+
+/**
+ * Render a badge token as a QR code image
+ * @param {string} badge
+ * @returns {Promise<string>} PNG data URL
+ */
+function renderBadgeQr(badge) {
+  return QRCode.toDataURL(badge, { errorCorrectionLevel: "M", margin: 2 });
+}
+
+module.exports = { issueBadge, verifyBadge, renderBadgeQr };
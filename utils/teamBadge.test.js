@@ -0,0 +1,38 @@
+const { issueBadge, verifyBadge, renderBadgeQr } = require("./teamBadge");
+
+beforeAll(() => {
+  process.env.BADGE_SECRET = "test-secret";
+});
+
+describe("team badges", () => {
+  it("should round-trip the att code", () => {
+    expect(verifyBadge(issueBadge("CC-1234"))).toEqual({
+      valid: true,
+      attCode: "CC-1234",
+    });
+  });
+
+  it("should handle att codes containing dots", () => {
+    expect(verifyBadge(issueBadge("CC.12.34")).attCode).toBe("CC.12.34");
+  });
+
+  it("should reject badges signed for another team", () => {
+    const signature = issueBadge("CC-1234").split(".").pop();
+
+    expect(verifyBadge(`CC-9999.${signature}`)).toEqual({
+      valid: false,
+      reason: "Invalid badge signature",
+    });
+  });
+
+  it("should reject malformed badges", () => {
+    expect(verifyBadge("CC-1234").reason).toBe("Malformed badge");
+    expect(verifyBadge(undefined).reason).toBe("Badge missing");
+  });
+
+  it("should render a PNG data URL", async () => {
+    expect(await renderBadgeQr(issueBadge("CC-1234"))).toMatch(
+      /^data:image\/png;base64,/
+    );
+  });
+});
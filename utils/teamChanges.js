@@ -0,0 +1,30 @@
+const { TeamChange } = require("../models/Models");
+const logger = require("./logger")("TeamChanges");
+
+/**
+ * Append an admin's edit of a team to its change log. Never throws, the team
+ * has already been saved by the time this runs.
+ * @param {Object} req - Express request on an admin route
+ * @param {Object} team - CodersCupAttendance document
+ * @param {string} action - "create", "update", "delete" or "restore"
+ * @param {Array<{field: string, from: string, to: string}>} [changes]
+ */
+async function recordTeamChange(req, team, action, changes = []) {
+  try {
+    await TeamChange.create({
+      team: team._id,
+      attCode: team["Att Code"],
+      action,
+      changes,
+      adminUserName: (req.admin && req.admin.adminUserName) || "",
+    });
+  } catch (err) {
+    logger.error(
+      `Failed to record ${action} of ${logger.val(team["Att Code"])}: ${
+        err.message
+      }`
+    );
+  }
+}
+
+module.exports = { recordTeamChange };
@@ -0,0 +1,53 @@
+// The competition (Event) a team is registered for, teams reference it by id
+const { Event } = require("../models/Models");
+
+/**
+ * Id of a team's competition, whether or not the reference is populated
+ * @param {Object} team - CodersCupAttendance document
+ * @returns {Object|null} ObjectId
+ */
+function getCompetitionId(team) {
+  const competition = team.competition;
+  if (!competition) return null;
+  return competition._id || competition;
+}
+
+/**
+ * Name of a team's competition, only known when the reference is populated
+ * @param {Object} team - CodersCupAttendance document
+ * @returns {string}
+ */
+function getCompetitionName(team) {
+  const competition = team.competition;
+  return (competition && competition.competitionName) || "";
+}
+
+/**
+ * Event a team is registered for
+ * @param {Object} team - CodersCupAttendance document
+ * @returns {Promise<Object|null>}
+ */
+async function findTeamEvent(team) {
+  const id = getCompetitionId(team);
+  return id ? Event.findById(id) : null;
+}
+
+/**
+ * Listing and export queries take ?competitionName=, teams are filtered by
+ * the event's id
+ * @param {Object} query - Request query
+ * @returns {Promise<{error: string}|{query: Object}>}
+ */
+async function withCompetitionId({ competition, ...query }) {
+  if (!query.competitionName) return { query };
+  const event = await Event.findOne({ competitionName: query.competitionName });
+  if (!event) return { error: "Event not found" };
+  return { query: { ...query, competition: event._id } };
+}
+
+module.exports = {
+  getCompetitionId,
+  getCompetitionName,
+  findTeamEvent,
+  withCompetitionId,
+};
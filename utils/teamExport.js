@@ -0,0 +1,190 @@
+// Team and attendance exports for the PR team and judges
+const ExcelJS = require("exceljs");
+const { escapeCsvValue } = require("./csv");
+const { MEMBER_SLOTS, getTeamPresence } = require("./teamMembers");
+const { mapTeamToSchema } = require("./teamMapper");
+const { buildTeamFilter } = require("./teamQuery");
+const { getCompetitionName } = require("./teamCompetition");
+
+const EXPORT_FORMATS = ["csv", "xlsx", "json"];
+const PRESENCE_STATUSES = ["present", "partial", "absent"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  json: "application/json; charset=utf-8",
+};
+
+// Spreadsheet columns, in order
+const EXPORT_COLUMNS = [
+  { key: "team_name", header: "Team Name", width: 28 },
+  { key: "att_code", header: "Att Code", width: 14 },
+  { key: "competition", header: "Competition", width: 22 },
+  { key: "attendance", header: "Attended", width: 10 },
+  { key: "presence", header: "Presence", width: 10 },
+  { key: "attendance_marked_at", header: "Checked In At", width: 22 },
+  { key: "arrival_status", header: "Arrival", width: 10 },
+  { key: "checked_out_at", header: "Checked Out At", width: 22 },
+  ...Object.entries(MEMBER_SLOTS).flatMap(([slot, { label }]) => [
+    { key: `${slot}_name`, header: `${label} Name`, width: 22 },
+    { key: `${slot}_email`, header: `${label} Email`, width: 28 },
+    { key: `${slot}_section`, header: `${label} Section`, width: 10 },
+    { key: `${slot}_checked_in_at`, header: `${label} Checked In At`, width: 22 },
+  ]),
+  { key: "leader_phone", header: "Leader Phone Number", width: 16 },
+  { key: "vjudge_username", header: "Vjudge username", width: 18 },
+];
+
+/**
+ * Mongo filter and presence filter from export query parameters, the same
+ * filters as the team listing plus presence, which is worked out per team
+ * @param {Object} query - See buildTeamFilter
+ * @param {string} [query.presence] - present, partial or absent
+ * @returns {{error: string}|{filter: Object, presence: string|null}}
+ */
+function buildExportFilter(query) {
+  const { filter, error } = buildTeamFilter(query);
+  if (error) return { error };
+
+  const { presence } = query;
+  if (presence !== undefined && !PRESENCE_STATUSES.includes(presence)) {
+    return { error: `presence must be one of ${PRESENCE_STATUSES.join(", ")}` };
+  }
+  return { filter, presence: presence || null };
+}
+
+/**
+ * One spreadsheet row per team
+ * @param {Object} team - CodersCupAttendance document
+ * @returns {Object} Keyed by EXPORT_COLUMNS keys
+ */
+function toExportRow(team) {
+  const row = {
+    team_name: team["Team Name"] || "",
+    att_code: team["Att Code"] || "",
+    competition: getCompetitionName(team),
+    attendance: team["Attendance Marked"] ? "Yes" : "No",
+    presence: getTeamPresence(team).status,
+    attendance_marked_at: team["Attendance Marked At"] || null,
+    arrival_status: team["Arrival Status"] || "",
+    checked_out_at: team["Checked Out At"] || null,
+    leader_phone: team["Leader Phone Number"] || "",
+    vjudge_username: team["Vjudge username"] || "",
+  };
+  for (const [slot, fields] of Object.entries(MEMBER_SLOTS)) {
+    const attendance = team[fields.attendance];
+    row[`${slot}_name`] = team[fields.name] || "";
+    row[`${slot}_email`] = team[fields.email] || "";
+    row[`${slot}_section`] = team[fields.section] || "";
+    row[`${slot}_checked_in_at`] =
+      (attendance && attendance.marked && attendance.markedAt) || null;
+  }
+  return row;
+}
+
+// rejects writes once the client has gone, so the export stops reading teams
+function assertConnected(res) {
+  if (res.destroyed) throw new Error("Client disconnected during export");
+}
+
+// write without buffering more than the socket can take
+async function write(res, chunk) {
+  assertConnected(res);
+  if (res.write(chunk)) return;
+
+  await new Promise((resolve, reject) => {
+    const settle = (err) => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      res.off("error", settle);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () =>
+      settle(new Error("Client disconnected during export"));
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+    res.on("error", settle);
+  });
+}
+
+/**
+ * Stream teams to the response one at a time, as CSV, XLSX or a JSON array
+ * of mapTeamToSchema records. Rejects if the client disconnects part way,
+ * the teams cursor is closed either way.
+ * @param {Object} res - Express response
+ * @param {AsyncIterable<Object>} teams - e.g. a mongoose query cursor, with
+ *   competition populated for the competition column
+ * @param {Object} options
+ * @param {string} options.format - csv, xlsx or json
+ * @param {string} options.filename - Without extension
+ * @param {string|null} [options.presence] - Only teams with this presence status
+ */
+async function streamTeamExport(res, teams, options) {
+  try {
+    await writeTeamExport(res, teams, options);
+  } finally {
+    if (typeof teams.close === "function") await teams.close();
+  }
+}
+
+async function writeTeamExport(res, teams, { format, filename, presence = null }) {
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${format}"`
+  );
+
+  const matches = (team) =>
+    !presence || getTeamPresence(team).status === presence;
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const sheet = workbook.addWorksheet("Teams");
+    sheet.columns = EXPORT_COLUMNS;
+    for await (const team of teams) {
+      assertConnected(res);
+      if (matches(team)) sheet.addRow(toExportRow(team)).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  if (format === "csv") {
+    await write(
+      res,
+      EXPORT_COLUMNS.map((column) => escapeCsvValue(column.header)).join(",") +
+        "\r\n"
+    );
+    for await (const team of teams) {
+      if (!matches(team)) continue;
+      const row = toExportRow(team);
+      await write(
+        res,
+        EXPORT_COLUMNS.map((column) => escapeCsvValue(row[column.key])).join(",") +
+          "\r\n"
+      );
+    }
+    res.end();
+    return;
+  }
+
+  let first = true;
+  await write(res, "[");
+  for await (const team of teams) {
+    if (!matches(team)) continue;
+    await write(res, (first ? "" : ",") + JSON.stringify(mapTeamToSchema(team)));
+    first = false;
+  }
+  res.end("]");
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  buildExportFilter,
+  toExportRow,
+  streamTeamExport,
+};
@@ -0,0 +1,141 @@
+const { EventEmitter } = require("events");
+const request = require("supertest");
+const express = require("express");
+const ExcelJS = require("exceljs");
+const { parseCsv } = require("./csv");
+const {
+  EXPORT_COLUMNS,
+  buildExportFilter,
+  toExportRow,
+  streamTeamExport,
+} = require("./teamExport");
+
+const markedAt = new Date("2025-03-01T09:05:00Z");
+const teams = [
+  {
+    "Team Name": "Segfault Survivors",
+    competition: { _id: "event-speed", competitionName: "Speed Programming" },
+    "Leader Name": "Ayesha Khan",
+    "Leader Email Address": "ayesha@example.com",
+    "Member 1 Name": "Bilal Ahmed",
+    "Att Code": "CC-1234",
+    "Attendance Marked": true,
+    "Attendance Marked At": markedAt,
+    "Leader Attendance": { marked: true, markedAt },
+  },
+  {
+    "Team Name": "Off By One",
+    competition: { _id: "event-speed", competitionName: "Speed Programming" },
+    "Leader Name": "Hamza Ali",
+    "Att Code": "CC-5678",
+    "Attendance Marked": false,
+  },
+];
+
+function makeApp(options) {
+  const app = express();
+  app.get("/", (req, res) => streamTeamExport(res, teams, options));
+  return app;
+}
+
+describe("buildExportFilter", () => {
+  it("should add presence to the listing filters", () => {
+    expect(
+      buildExportFilter({ competition: "event-speed", presence: "partial" })
+    ).toEqual({
+      filter: { competition: "event-speed" },
+      presence: "partial",
+    });
+  });
+
+  it("should reject unknown values", () => {
+    expect(buildExportFilter({ attended: "yes" }).error).toBe(
+      "attended must be true or false"
+    );
+    expect(buildExportFilter({ presence: "maybe" }).error).toMatch(/^presence/);
+  });
+});
+
+describe("toExportRow", () => {
+  it("should include presence and member check-in times", () => {
+    const row = toExportRow(teams[0]);
+
+    expect(row.competition).toBe("Speed Programming");
+    expect(row.attendance).toBe("Yes");
+    expect(row.presence).toBe("partial");
+    expect(row.leader_checked_in_at).toBe(markedAt);
+    expect(row.member1_checked_in_at).toBeNull();
+  });
+});
+
+describe("streamTeamExport", () => {
+  it("should stream CSV with one row per team", async () => {
+    const response = await request(
+      makeApp({ format: "csv", filename: "speed-programming" })
+    ).get("/");
+
+    expect(response.headers["content-disposition"]).toBe(
+      'attachment; filename="speed-programming.csv"'
+    );
+    const { headers, rows } = parseCsv(response.text);
+    expect(headers).toEqual(EXPORT_COLUMNS.map((column) => column.header));
+    expect(rows.map((row) => row["Team Name"])).toEqual([
+      "Segfault Survivors",
+      "Off By One",
+    ]);
+    expect(rows[0]["Checked In At"]).toBe(markedAt.toISOString());
+  });
+
+  it("should only include teams with the requested presence", async () => {
+    const response = await request(
+      makeApp({ format: "json", filename: "teams", presence: "absent" })
+    ).get("/");
+
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0].team_name).toBe("Off By One");
+  });
+
+  it("should stop and close the cursor when the client disconnects", async () => {
+    const res = new EventEmitter();
+    res.setHeader = jest.fn();
+    res.end = jest.fn();
+    // socket buffer full, then the client goes away
+    res.write = jest.fn(() => {
+      setImmediate(() => {
+        res.destroyed = true;
+        res.emit("close");
+      });
+      return false;
+    });
+    const cursor = {
+      close: jest.fn().mockResolvedValue(),
+      [Symbol.asyncIterator]: () => teams[Symbol.iterator](),
+    };
+
+    await expect(
+      streamTeamExport(res, cursor, { format: "csv", filename: "teams" })
+    ).rejects.toThrow("Client disconnected during export");
+    expect(res.write).toHaveBeenCalledTimes(1);
+    expect(res.end).not.toHaveBeenCalled();
+    expect(cursor.close).toHaveBeenCalled();
+    expect(res.listenerCount("drain")).toBe(0);
+  });
+
+  it("should stream an XLSX workbook", async () => {
+    const response = await request(makeApp({ format: "xlsx", filename: "teams" }))
+      .get("/")
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => callback(null, Buffer.concat(chunks)));
+      });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(response.body);
+    const sheet = workbook.getWorksheet("Teams");
+    expect(sheet.getRow(1).getCell(1).text).toBe("Team Name");
+    expect(sheet.getRow(2).getCell(1).text).toBe("Segfault Survivors");
+    expect(sheet.rowCount).toBe(3);
+  });
+});
@@ -0,0 +1,269 @@
+// Bulk team import from Google Forms exports (CSV or XLSX) whose column
+// headers are CodersCupAttendance field names
+const ExcelJS = require("exceljs");
+const { CodersCupAttendance } = require("../models/Models");
+const { parseCsv } = require("./csv");
+const {
+  REGISTRATION_FIELDS,
+  toTeamFields,
+  toRegistrationBody,
+  getFieldChanges,
+  validateTeamFields,
+  getMemberEmails,
+} = require("./teamValidation");
+const { generateTeamAttCode } = require("./teamRegistration");
+
+const MAX_IMPORT_ROWS = 2000;
+const REQUIRED_COLUMNS = ["Team Name", "Leader Name", "Leader Email Address"];
+const XLSX_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Outcome of each row of an import
+const IMPORT_STATUS = {
+  NEW: "new", // creates a team
+  UPDATED: "updated", // changes an existing team, see changes
+  UNCHANGED: "unchanged", // matches an existing team exactly
+  INVALID: "invalid", // not imported, see errors
+};
+
+/**
+ * Read the first sheet of an uploaded CSV or XLSX file
+ * @param {Buffer} buffer
+ * @param {string} contentType - Request Content-Type
+ * @returns {Promise<{headers: Array<string>, rows: Array<Object>}>}
+ */
+async function readTeamSheet(buffer, contentType = "") {
+  if (!contentType.startsWith(XLSX_TYPE)) {
+    return parseCsv(buffer.toString("utf8"));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return { headers: [], rows: [] };
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column - 1] = cell.text.trim();
+  });
+  const rows = [];
+  for (let r = 2; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+    rows.push(
+      Object.fromEntries(
+        headers.map((header, i) => [header, row.getCell(i + 1).text])
+      )
+    );
+  }
+  return { headers, rows };
+}
+
+// spreadsheet row -> registration body, only for columns the sheet has
+function rowToBody(row, headers) {
+  const body = {};
+  for (const [key, field] of Object.entries(REGISTRATION_FIELDS)) {
+    if (headers.includes(field)) body[key] = row[field];
+  }
+  return body;
+}
+
+function identityKeys(fields) {
+  const keys = getMemberEmails(fields).map(
+    (email) => `email:${email.toLowerCase()}`
+  );
+  if (fields["Leader CNIC"]) keys.push(`cnic:${fields["Leader CNIC"]}`);
+  return keys;
+}
+
+/**
+ * Dry run of an import: validate every row and match it to an existing team
+ * of the competition by its Att Code column, or else by leader email
+ * @param {{headers: Array<string>, rows: Array<Object>}} sheet - From readTeamSheet
+ * @param {Array<Object>} teams - Existing teams of the competition
+ * @param {Object} event - Event the teams are imported into
+ * @returns {{error: string}|{entries: Array<Object>, summary: Object}}
+ */
+function planTeamImport({ headers, rows }, teams, event) {
+  const missing = REQUIRED_COLUMNS.filter((column) => !headers.includes(column));
+  if (missing.length > 0) {
+    return { error: `Missing columns: ${missing.join(", ")}` };
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` };
+  }
+
+  const byAttCode = new Map(teams.map((team) => [team["Att Code"], team]));
+  const byLeaderEmail = new Map(
+    teams.map((team) => [
+      String(team["Leader Email Address"] || "").toLowerCase(),
+      team,
+    ])
+  );
+  // email address / CNIC -> team or row holding it, to catch members on two teams
+  const owners = new Map();
+  for (const team of teams) {
+    for (const key of identityKeys(team)) {
+      owners.set(key, { id: String(team._id), name: team["Team Name"] });
+    }
+  }
+  const rowOfTeam = new Map();
+
+  const entries = [];
+  rows.forEach((row, index) => {
+    // header is row 1
+    const rowNumber = index + 2;
+    if (Object.values(row).every((value) => String(value).trim() === "")) {
+      return;
+    }
+
+    const body = rowToBody(row, headers);
+    const attCode = String(row["Att Code"] || "").trim();
+    const errors = [];
+
+    let team = null;
+    if (attCode) {
+      team = byAttCode.get(attCode) || null;
+      if (!team) {
+        errors.push(`Att Code ${attCode} does not belong to a team in this competition`);
+      }
+    } else {
+      team =
+        byLeaderEmail.get(String(body.leader_email || "").trim().toLowerCase()) ||
+        null;
+    }
+
+    const fields = toTeamFields(team ? { ...toRegistrationBody(team), ...body } : body);
+    errors.push(
+      ...validateTeamFields(fields, {
+        minTeamSize: event.min_team_size,
+        maxTeamSize: event.max_team_size,
+      })
+    );
+
+    const id = team ? String(team._id) : `row-${rowNumber}`;
+    if (team && rowOfTeam.has(id)) {
+      errors.push(`Same team as row ${rowOfTeam.get(id)}`);
+    }
+    for (const key of identityKeys(fields)) {
+      const owner = owners.get(key);
+      if (owner && owner.id !== id) {
+        errors.push(
+          `${key.slice(key.indexOf(":") + 1)} is already registered with team "${owner.name}"`
+        );
+      }
+    }
+
+    const entry = { row: rowNumber, team_name: fields["Team Name"] };
+    if (errors.length > 0) {
+      entries.push({ ...entry, status: IMPORT_STATUS.INVALID, errors });
+      return;
+    }
+
+    for (const key of identityKeys(fields)) {
+      owners.set(key, { id, name: fields["Team Name"] });
+    }
+    if (!team) {
+      entries.push({ ...entry, status: IMPORT_STATUS.NEW, fields });
+      return;
+    }
+
+    rowOfTeam.set(id, rowNumber);
+    const changes = getFieldChanges(
+      team,
+      fields,
+      Object.values(REGISTRATION_FIELDS).filter((field) => headers.includes(field))
+    );
+    entries.push({
+      ...entry,
+      status: changes.length > 0 ? IMPORT_STATUS.UPDATED : IMPORT_STATUS.UNCHANGED,
+      att_code: team["Att Code"],
+      teamId: team._id,
+      changes,
+    });
+  });
+
+  const summary = Object.fromEntries(
+    Object.values(IMPORT_STATUS).map((status) => [
+      status,
+      entries.filter((entry) => entry.status === status).length,
+    ])
+  );
+  return { entries, summary };
+}
+
+/**
+ * Entries of a planned import as shown to admins, without internal fields
+ * @param {Array<Object>} entries - From planTeamImport
+ * @returns {Array<Object>}
+ */
+function describeImport(entries) {
+  return entries.map(({ fields, teamId, ...entry }) => entry);
+}
+
+/**
+ * Write a planned import in one bulk operation, generating att codes for the
+ * new teams. The plan must not have invalid rows. Writes stop at the first row
+ * the database refuses (e.g. an att code or email taken since the dry run),
+ * the rows before it stay written and are counted.
+ * @param {Array<Object>} entries - From planTeamImport
+ * @param {Object} event - Event the teams are imported into
+ * @returns {Promise<{inserted: number, updated: number, error?: string}>}
+ *   error names the row the import stopped at
+ */
+async function applyTeamImport(entries, event) {
+  const operations = [];
+  const written = []; // entry of each operation
+  for (const entry of entries) {
+    if (entry.status === IMPORT_STATUS.NEW) {
+      entry.att_code = await generateTeamAttCode();
+      operations.push({
+        insertOne: {
+          document: {
+            ...entry.fields,
+            competition: event._id,
+            "Att Code": entry.att_code,
+          },
+        },
+      });
+      written.push(entry);
+    } else if (entry.status === IMPORT_STATUS.UPDATED) {
+      const update = Object.fromEntries(
+        entry.changes.map(({ field, to }) => [field, to])
+      );
+      operations.push({
+        updateOne: { filter: { _id: entry.teamId }, update: { $set: update } },
+      });
+      written.push(entry);
+    }
+  }
+
+  if (operations.length === 0) {
+    return { inserted: 0, updated: 0 };
+  }
+  try {
+    const result = await CodersCupAttendance.bulkWrite(operations, { ordered: true });
+    return { inserted: result.insertedCount, updated: result.modifiedCount };
+  } catch (err) {
+    // anything but a refused write leaves no way to tell what was written
+    if (!err.result || !Array.isArray(err.writeErrors) || err.writeErrors.length === 0) {
+      throw err;
+    }
+    const [writeError] = err.writeErrors;
+    const entry = written[writeError.index];
+    return {
+      inserted: err.result.insertedCount,
+      updated: err.result.modifiedCount,
+      error: `Row ${entry.row}: ${writeError.errmsg}`,
+    };
+  }
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_STATUS,
+  XLSX_TYPE,
+  readTeamSheet,
+  planTeamImport,
+  describeImport,
+  applyTeamImport,
+};
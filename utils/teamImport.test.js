@@ -0,0 +1,195 @@
+const ExcelJS = require("exceljs");
+
+jest.mock("../models/Models", () => ({
+  CodersCupAttendance: {
+    exists: jest.fn().mockResolvedValue(null),
+    bulkWrite: jest.fn((operations) =>
+      Promise.resolve({
+        insertedCount: operations.filter((op) => op.insertOne).length,
+        modifiedCount: operations.filter((op) => op.updateOne).length,
+      })
+    ),
+  },
+  RetiredAttCode: { exists: jest.fn().mockResolvedValue(null) },
+}));
+
+const { CodersCupAttendance } = require("../models/Models");
+const {
+  XLSX_TYPE,
+  readTeamSheet,
+  planTeamImport,
+  applyTeamImport,
+} = require("./teamImport");
+
+const event = { min_team_size: 1, max_team_size: 3 };
+const existing = {
+  _id: "team-1",
+  "Team Name": "Segfault Survivors",
+  "Leader Name": "Ayesha Khan",
+  "Leader Email Address": "ayesha@example.com",
+  "Member 1 Name": "Bilal Ahmed",
+  "Member 1 Email Address": "bilal@example.com",
+  "Att Code": "CC-1234",
+};
+
+const headers = [
+  "Timestamp",
+  "Team Name",
+  "Leader Name",
+  "Leader Email Address",
+  "Member 1 Name",
+  "Member 1 Email Address",
+];
+
+function sheet(...rows) {
+  return {
+    headers,
+    rows: rows.map((values) =>
+      Object.fromEntries(headers.map((header, i) => [header, values[i] ?? ""]))
+    ),
+  };
+}
+
+describe("planTeamImport", () => {
+  it("should sort rows into new, updated, unchanged and invalid", () => {
+    const plan = planTeamImport(
+      sheet(
+        ["1/1/2025", "Off By One", "Hamza Ali", "hamza@example.com"],
+        ["1/1/2025", "Segfault Survivors", "Ayesha Khan", "Ayesha@Example.com", "Bilal Ahmed", "bilal.a@example.com"],
+        [],
+        ["1/1/2025", "Null Pointers", "Sara", "not-an-email"]
+      ),
+      [existing],
+      event
+    );
+
+    expect(plan.summary).toEqual({ new: 1, updated: 1, unchanged: 0, invalid: 1 });
+    expect(plan.entries.map((entry) => [entry.row, entry.status])).toEqual([
+      [2, "new"],
+      [3, "updated"],
+      [5, "invalid"],
+    ]);
+    expect(plan.entries[1].changes).toEqual([
+      {
+        field: "Member 1 Email Address",
+        from: "bilal@example.com",
+        to: "bilal.a@example.com",
+      },
+    ]);
+  });
+
+  it("should reject members already on another team or row", () => {
+    const plan = planTeamImport(
+      sheet(
+        ["", "Off By One", "Hamza Ali", "hamza@example.com"],
+        ["", "Null Pointers", "Sara Iqbal", "sara@example.com", "Bilal Ahmed", "bilal@example.com"],
+        ["", "Stack Smashers", "Omar Raza", "omar@example.com", "Hamza Ali", "hamza@example.com"]
+      ),
+      [existing],
+      event
+    );
+
+    expect(plan.summary).toMatchObject({ new: 1, invalid: 2 });
+    expect(plan.entries[1].errors).toEqual([
+      'bilal@example.com is already registered with team "Segfault Survivors"',
+    ]);
+    expect(plan.entries[2].errors).toEqual([
+      'hamza@example.com is already registered with team "Off By One"',
+    ]);
+  });
+
+  it("should refuse sheets without the required columns", () => {
+    const plan = planTeamImport({ headers: ["Team Name"], rows: [] }, [], event);
+
+    expect(plan.error).toBe("Missing columns: Leader Name, Leader Email Address");
+  });
+});
+
+describe("applyTeamImport", () => {
+  it("should insert new teams with att codes and update changed ones", async () => {
+    const plan = planTeamImport(
+      sheet(
+        ["", "Off By One", "Hamza Ali", "hamza@example.com"],
+        ["", "Segfault Survivors II", "Ayesha Khan", "ayesha@example.com", "Bilal Ahmed", "bilal@example.com"]
+      ),
+      [existing],
+      event
+    );
+    const result = await applyTeamImport(plan.entries, { _id: "event-speed" });
+
+    expect(result).toEqual({ inserted: 1, updated: 1 });
+    const [operations] = CodersCupAttendance.bulkWrite.mock.calls[0];
+    expect(operations[0].insertOne.document).toMatchObject({
+      "Team Name": "Off By One",
+      competition: "event-speed",
+      "Att Code": expect.stringMatching(/^CC-/),
+    });
+    expect(operations[1].updateOne).toEqual({
+      filter: { _id: "team-1" },
+      update: { $set: { "Team Name": "Segfault Survivors II" } },
+    });
+  });
+
+  it("should count what was written before a row is refused", async () => {
+    const plan = planTeamImport(
+      sheet(
+        ["", "Off By One", "Hamza Ali", "hamza@example.com"],
+        ["", "Null Pointers", "Zara Shah", "zara@example.com"]
+      ),
+      [existing],
+      event
+    );
+    CodersCupAttendance.bulkWrite.mockRejectedValueOnce(
+      Object.assign(new Error("E11000 duplicate key error"), {
+        result: { insertedCount: 1, modifiedCount: 0 },
+        writeErrors: [{ index: 1, errmsg: "E11000 duplicate key error" }],
+      })
+    );
+
+    const result = await applyTeamImport(plan.entries, { _id: "event-speed" });
+
+    expect(result).toEqual({
+      inserted: 1,
+      updated: 0,
+      error: "Row 3: E11000 duplicate key error",
+    });
+  });
+
+  it("should pass on errors that aren't refused writes", async () => {
+    const plan = planTeamImport(
+      sheet(["", "Off By One", "Hamza Ali", "hamza@example.com"]),
+      [existing],
+      event
+    );
+    CodersCupAttendance.bulkWrite.mockRejectedValueOnce(new Error("connection closed"));
+
+    await expect(
+      applyTeamImport(plan.entries, { _id: "event-speed" })
+    ).rejects.toThrow("connection closed");
+  });
+});
+
+describe("readTeamSheet", () => {
+  it("should read the first sheet of an XLSX file", async () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet("Form Responses 1");
+    worksheet.addRow(["Team Name", "Leader Name", "Leader Email Address"]);
+    worksheet.addRow([
+      "Off By One",
+      "Hamza Ali",
+      { text: "hamza@example.com", hyperlink: "mailto:hamza@example.com" },
+    ]);
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    const { headers, rows } = await readTeamSheet(buffer, XLSX_TYPE);
+
+    expect(headers).toEqual(["Team Name", "Leader Name", "Leader Email Address"]);
+    expect(rows).toEqual([
+      {
+        "Team Name": "Off By One",
+        "Leader Name": "Hamza Ali",
+        "Leader Email Address": "hamza@example.com",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+// API shapes of a CodersCupAttendance document
+const { mapMemberAttendance } = require("./teamMembers");
+const { getCompetitionId, getCompetitionName } = require("./teamCompetition");
+
+function mapAttendanceState(team) {
+  return {
+    att_code: team["Att Code"] || "",
+    attendance: team["Attendance Marked"] || false,
+    attendance_marked_at: team["Attendance Marked At"] || null,
+    arrival_status: team["Arrival Status"] || null,
+    checked_out_at: team["Checked Out At"] || null,
+    session_attendance: team["Session Attendance"] || [],
+    ...mapMemberAttendance(team),
+  };
+}
+
+/**
+ * Full team record, for admin routes only
+ * @param {Object} team - CodersCupAttendance document
+ * @returns {Object}
+ */
+function mapTeamToSchema(team) {
+  return {
+    team_info: team["Team Information"] || "",
+    team_name: team["Team Name"] || "",
+    vjudge_username: team["Vjudge username"] || "",
+    competition: getCompetitionId(team),
+    competitionName: getCompetitionName(team),
+    leader_name: team["Leader Name"] || "",
+    leader_email: team["Leader Email Address"] || "",
+    leader_section: team["Leader Section"] || "",
+    leader_cnic: team["Leader CNIC"] || "",
+    leader_phone: team["Leader Phone Number"] || "",
+
+    member1_name: team["Member 1 Name"] || "",
+    member1_email: team["Member 1 Email Address"] || "",
+    member1_section: team["Member 1 Section"] || "",
+
+    member2_name: team["Member 2 Name"] || "",
+    member2_email: team["Member 2 Email Address"] || "",
+    member2_section: team["Member 2 Section"] || "",
+
+    ...mapAttendanceState(team),
+  };
+}
+
+/**
+ * Team record for public endpoints, where anyone holding the att code can read
+ * it: names and attendance only, no CNIC, phone numbers or email addresses
+ * @param {Object} team - CodersCupAttendance document
+ * @returns {Object}
+ */
+function mapTeamToPublic(team) {
+  return {
+    team_name: team["Team Name"] || "",
+    competition: getCompetitionId(team),
+    competitionName: getCompetitionName(team),
+    leader_name: team["Leader Name"] || "",
+    member1_name: team["Member 1 Name"] || "",
+    member2_name: team["Member 2 Name"] || "",
+
+    ...mapAttendanceState(team),
+  };
+}
+
+module.exports = { mapTeamToSchema, mapTeamToPublic };
@@ -0,0 +1,49 @@
+const { mapTeamToSchema, mapTeamToPublic } = require("./teamMapper");
+
+const team = {
+  "Team Name": "Segfault Survivors",
+  competition: { _id: "event-speed", competitionName: "Speed Programming" },
+  "Leader Name": "Ayesha Khan",
+  "Leader Email Address": "ayesha@example.com",
+  "Leader CNIC": "42101-1234567-1",
+  "Leader Phone Number": "0300-1234567",
+  "Member 1 Name": "Bilal Ahmed",
+  "Member 1 Email Address": "bilal@example.com",
+  "Member 2 Name": "",
+  "Att Code": "CC-1234",
+  "Attendance Marked": false,
+};
+
+describe("mapTeamToSchema", () => {
+  it("should include contact details for admins", () => {
+    const mapped = mapTeamToSchema(team);
+
+    expect(mapped.competition).toBe("event-speed");
+    expect(mapped.competitionName).toBe("Speed Programming");
+    expect(mapped.leader_cnic).toBe("42101-1234567-1");
+    expect(mapped.leader_phone).toBe("0300-1234567");
+  });
+
+  it("should leave the name out when the competition isn't populated", () => {
+    const mapped = mapTeamToSchema({ ...team, competition: "event-speed" });
+
+    expect(mapped.competition).toBe("event-speed");
+    expect(mapped.competitionName).toBe("");
+  });
+});
+
+describe("mapTeamToPublic", () => {
+  it("should strip CNIC, phone numbers and email addresses", () => {
+    const mapped = mapTeamToPublic(team);
+
+    expect(mapped).toMatchObject({
+      team_name: "Segfault Survivors",
+      leader_name: "Ayesha Khan",
+      member1_name: "Bilal Ahmed",
+      att_code: "CC-1234",
+      attendance: false,
+      presence: "absent",
+    });
+    expect(JSON.stringify(mapped)).not.toMatch(/42101|0300|@example\.com/);
+  });
+});
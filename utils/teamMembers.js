@@ -0,0 +1,291 @@
+// Member slots on a CodersCupAttendance document and the fields backing them
+const MEMBER_SLOTS = {
+  leader: {
+    label: "Leader",
+    name: "Leader Name",
+    email: "Leader Email Address",
+    section: "Leader Section",
+    attendance: "Leader Attendance",
+  },
+  member1: {
+    label: "Member 1",
+    name: "Member 1 Name",
+    email: "Member 1 Email Address",
+    section: "Member 1 Section",
+    attendance: "Member 1 Attendance",
+  },
+  member2: {
+    label: "Member 2",
+    name: "Member 2 Name",
+    email: "Member 2 Email Address",
+    section: "Member 2 Section",
+    attendance: "Member 2 Attendance",
+  },
+};
+
+const isMemberSlot = (slot) =>
+  Object.prototype.hasOwnProperty.call(MEMBER_SLOTS, slot);
+
+/**
+ * Slots that have a member registered in them
+ * @param {Object} team - CodersCupAttendance document
+ * @returns {string[]}
+ */
+function getRegisteredSlots(team) {
+  return Object.keys(MEMBER_SLOTS).filter((slot) =>
+    Boolean(team[MEMBER_SLOTS[slot].name])
+  );
+}
+
+function isMemberMarked(team, slot) {
+  const attendance = team[MEMBER_SLOTS[slot].attendance];
+  return Boolean(attendance && attendance.marked);
+}
+
+// marked as a whole, either explicitly or by older records that predate
+// member check-ins
+function isMarkedAsTeam(team) {
+  if (!team["Attendance Marked"]) return false;
+  return (
+    Boolean(team["Marked As Team"]) ||
+    !getRegisteredSlots(team).some((slot) => isMemberMarked(team, slot))
+  );
+}
+
+/**
+ * Who from the team has checked in
+ * @param {Object} team - CodersCupAttendance document
+ * @returns {{ status: string, present: string[], absent: string[] }}
+ *   status is "absent", "partial" or "present". A team marked as a whole
+ *   counts every registered member as present.
+ */
+function getTeamPresence(team) {
+  const registered = getRegisteredSlots(team);
+  const present = isMarkedAsTeam(team)
+    ? registered
+    : registered.filter((slot) => isMemberMarked(team, slot));
+  const absent = registered.filter((slot) => !present.includes(slot));
+
+  let status;
+  if (present.length === 0) {
+    status = team["Attendance Marked"] ? "present" : "absent";
+  } else {
+    status = absent.length === 0 ? "present" : "partial";
+  }
+  return { status, present, absent };
+}
+
+function setTeamAttended(team, at, arrivalStatus) {
+  if (!team["Attendance Marked"]) {
+    team["Attendance Marked At"] = at;
+    team["Arrival Status"] = arrivalStatus;
+  }
+  team["Attendance Marked"] = true;
+  team["Checked Out At"] = null;
+}
+
+/**
+ * Mark the team as a whole, keeping the time (and arrival status) of the
+ * first check-in. Anyone checking in again means the team is back on site.
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Date} [at]
+ * @param {string|null} [arrivalStatus] - early, on-time or late
+ */
+function markTeam(team, at = new Date(), arrivalStatus = null) {
+  setTeamAttended(team, at, arrivalStatus);
+  team["Marked As Team"] = true;
+}
+
+/**
+ * Check a single member in. The team counts as attended once anyone is in.
+ * @param {Object} team - CodersCupAttendance document
+ * @param {string} slot - Key of MEMBER_SLOTS
+ * @param {Date} [at]
+ * @param {string|null} [arrivalStatus] - early, on-time or late
+ */
+function markMember(team, slot, at = new Date(), arrivalStatus = null) {
+  team[MEMBER_SLOTS[slot].attendance] = {
+    marked: true,
+    markedAt: at,
+    checkedOutAt: null,
+    arrivalStatus,
+  };
+  setTeamAttended(team, at, arrivalStatus);
+}
+
+/**
+ * Undo a single member's check-in, the team stays attended while anyone else
+ * is still checked in. On a team marked as a whole, everyone else is kept
+ * checked in from the time the team was marked.
+ * @param {Object} team - CodersCupAttendance document
+ * @param {string} slot - Key of MEMBER_SLOTS
+ */
+function unmarkMember(team, slot) {
+  if (isMarkedAsTeam(team)) {
+    for (const other of getRegisteredSlots(team)) {
+      if (other === slot || isMemberMarked(team, other)) continue;
+      team[MEMBER_SLOTS[other].attendance] = {
+        marked: true,
+        markedAt: team["Attendance Marked At"],
+        checkedOutAt: team["Checked Out At"] || null,
+        arrivalStatus: team["Arrival Status"] || null,
+      };
+    }
+    team["Marked As Team"] = false;
+  }
+  team[MEMBER_SLOTS[slot].attendance] = {
+    marked: false,
+    markedAt: null,
+    checkedOutAt: null,
+    arrivalStatus: null,
+  };
+  team["Attendance Marked"] = getRegisteredSlots(team).some((other) =>
+    isMemberMarked(team, other)
+  );
+  if (!team["Attendance Marked"]) {
+    team["Attendance Marked At"] = null;
+    team["Arrival Status"] = null;
+    team["Checked Out At"] = null;
+  }
+}
+
+/**
+ * Undo every check-in on the team
+ * @param {Object} team - CodersCupAttendance document
+ */
+function unmarkTeam(team) {
+  for (const slot of Object.keys(MEMBER_SLOTS)) {
+    team[MEMBER_SLOTS[slot].attendance] = {
+      marked: false,
+      markedAt: null,
+      checkedOutAt: null,
+      arrivalStatus: null,
+    };
+  }
+  team["Attendance Marked"] = false;
+  team["Marked As Team"] = false;
+  team["Attendance Marked At"] = null;
+  team["Arrival Status"] = null;
+  team["Checked Out At"] = null;
+}
+
+/**
+ * Whether a member (or the team as a whole when slot is empty) has checked out
+ * @param {Object} team - CodersCupAttendance document
+ * @param {string|null} [slot] - Key of MEMBER_SLOTS
+ * @returns {boolean}
+ */
+function isCheckedOut(team, slot = null) {
+  if (!slot) {
+    return Boolean(team["Checked Out At"]);
+  }
+  const attendance = team[MEMBER_SLOTS[slot].attendance];
+  return Boolean(attendance && attendance.checkedOutAt);
+}
+
+/**
+ * Check the whole team out. Applies to every member who has not checked out
+ * individually.
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Date} [at]
+ */
+function checkOutTeam(team, at = new Date()) {
+  team["Checked Out At"] = at;
+}
+
+/**
+ * Check a single member out
+ * @param {Object} team - CodersCupAttendance document
+ * @param {string} slot - Key of MEMBER_SLOTS
+ * @param {Date} [at]
+ */
+function checkOutMember(team, slot, at = new Date()) {
+  const attendance = team[MEMBER_SLOTS[slot].attendance];
+  team[MEMBER_SLOTS[slot].attendance] = {
+    marked: true,
+    markedAt: attendance.markedAt,
+    checkedOutAt: at,
+    arrivalStatus: attendance.arrivalStatus || null,
+  };
+}
+
+/**
+ * Time spent on site by each checked in member, or by the team as a whole if
+ * it was only marked at team level
+ * @param {Object} team - CodersCupAttendance document
+ * @returns {Array<{member: string|null, name: string, checkedInAt: Date|null,
+ *   checkedOutAt: Date|null, durationMinutes: number|null}>}
+ */
+function getOnSiteDurations(team) {
+  const row = (member, name, checkedInAt, checkedOutAt) => ({
+    member,
+    name,
+    checkedInAt: checkedInAt || null,
+    checkedOutAt: checkedOutAt || null,
+    durationMinutes:
+      checkedInAt && checkedOutAt
+        ? Math.round((new Date(checkedOutAt) - new Date(checkedInAt)) / 60000)
+        : null,
+  });
+
+  const rows = getRegisteredSlots(team)
+    .filter((slot) => isMemberMarked(team, slot))
+    .map((slot) => {
+      const attendance = team[MEMBER_SLOTS[slot].attendance];
+      return row(
+        slot,
+        team[MEMBER_SLOTS[slot].name],
+        attendance.markedAt,
+        attendance.checkedOutAt || team["Checked Out At"]
+      );
+    });
+
+  if (rows.length === 0 && team["Attendance Marked"]) {
+    rows.push(
+      row(
+        null,
+        team["Team Name"],
+        team["Attendance Marked At"],
+        team["Checked Out At"]
+      )
+    );
+  }
+  return rows;
+}
+
+/**
+ * Per-member attendance fields for API responses
+ * @param {Object} team - CodersCupAttendance document
+ * @returns {Object}
+ */
+function mapMemberAttendance(team) {
+  const mapped = {};
+  for (const slot of Object.keys(MEMBER_SLOTS)) {
+    const attendance = team[MEMBER_SLOTS[slot].attendance] || {};
+    mapped[`${slot}_attendance`] = {
+      marked: Boolean(attendance.marked),
+      markedAt: attendance.markedAt || null,
+      checkedOutAt: attendance.checkedOutAt || null,
+      arrivalStatus: attendance.arrivalStatus || null,
+    };
+  }
+  mapped.presence = getTeamPresence(team).status;
+  return mapped;
+}
+
+module.exports = {
+  MEMBER_SLOTS,
+  isMemberSlot,
+  getRegisteredSlots,
+  isMemberMarked,
+  getTeamPresence,
+  markTeam,
+  markMember,
+  unmarkMember,
+  unmarkTeam,
+  isCheckedOut,
+  checkOutTeam,
+  checkOutMember,
+  getOnSiteDurations,
+  mapMemberAttendance,
+};
@@ -0,0 +1,213 @@
+const {
+  getRegisteredSlots,
+  getTeamPresence,
+  markTeam,
+  markMember,
+  unmarkMember,
+  unmarkTeam,
+  isCheckedOut,
+  checkOutTeam,
+  checkOutMember,
+  getOnSiteDurations,
+  mapMemberAttendance,
+} = require("./teamMembers");
+
+function makeTeam(overrides = {}) {
+  return {
+    "Team Name": "Segfault Survivors",
+    "Leader Name": "Ayesha Khan",
+    "Member 1 Name": "Bilal Ahmed",
+    "Member 2 Name": "",
+    "Attendance Marked": false,
+    ...overrides,
+  };
+}
+
+describe("getRegisteredSlots", () => {
+  it("should skip empty member slots", () => {
+    expect(getRegisteredSlots(makeTeam())).toEqual(["leader", "member1"]);
+  });
+});
+
+describe("getTeamPresence", () => {
+  it("should report absent teams", () => {
+    expect(getTeamPresence(makeTeam())).toEqual({
+      status: "absent",
+      present: [],
+      absent: ["leader", "member1"],
+    });
+  });
+
+  it("should treat a team-level mark as present", () => {
+    const team = makeTeam({ "Attendance Marked": true });
+    expect(getTeamPresence(team).status).toBe("present");
+  });
+
+  it("should report partially present teams", () => {
+    const team = makeTeam();
+    markMember(team, "leader");
+    expect(getTeamPresence(team)).toEqual({
+      status: "partial",
+      present: ["leader"],
+      absent: ["member1"],
+    });
+  });
+
+  it("should report present once every registered member is in", () => {
+    const team = makeTeam();
+    markMember(team, "leader");
+    markMember(team, "member1");
+    expect(getTeamPresence(team).status).toBe("present");
+  });
+});
+
+describe("markMember / unmarkMember", () => {
+  it("should keep the team flag in sync with member check-ins", () => {
+    const team = makeTeam();
+    const at = new Date("2025-04-17T05:10:00Z");
+
+    markMember(team, "member1", at, "on-time");
+    expect(team["Attendance Marked"]).toBe(true);
+    expect(team["Arrival Status"]).toBe("on-time");
+    expect(team["Member 1 Attendance"]).toEqual({
+      marked: true,
+      markedAt: at,
+      checkedOutAt: null,
+      arrivalStatus: "on-time",
+    });
+
+    unmarkMember(team, "member1");
+    expect(team["Attendance Marked"]).toBe(false);
+    expect(team["Arrival Status"]).toBeNull();
+  });
+
+  it("should clear every check-in when the team is unmarked", () => {
+    const team = makeTeam();
+    markMember(team, "leader");
+    markMember(team, "member1");
+    unmarkTeam(team);
+    expect(getTeamPresence(team).status).toBe("absent");
+  });
+
+  it("should keep the rest of a team marked as a whole checked in", () => {
+    const team = makeTeam({ "Member 2 Name": "Sana Malik" });
+    const at = new Date("2025-04-17T05:10:00Z");
+    markTeam(team, at, "on-time");
+
+    unmarkMember(team, "member2");
+    expect(team["Attendance Marked"]).toBe(true);
+    expect(team["Attendance Marked At"]).toBe(at);
+    expect(team["Member 1 Attendance"]).toEqual({
+      marked: true,
+      markedAt: at,
+      checkedOutAt: null,
+      arrivalStatus: "on-time",
+    });
+    expect(getTeamPresence(team)).toEqual({
+      status: "partial",
+      present: ["leader", "member1"],
+      absent: ["member2"],
+    });
+  });
+
+  it("should keep a team marked as a whole present when a member checks in", () => {
+    const team = makeTeam({ "Member 2 Name": "Sana Malik" });
+    markTeam(team);
+    markMember(team, "leader");
+
+    expect(getTeamPresence(team)).toEqual({
+      status: "present",
+      present: ["leader", "member1", "member2"],
+      absent: [],
+    });
+  });
+});
+
+describe("markTeam", () => {
+  it("should keep the time the team was first marked", () => {
+    const team = makeTeam();
+    const first = new Date("2025-04-17T05:10:00Z");
+    markTeam(team, first);
+    markTeam(team, new Date("2025-04-17T06:00:00Z"));
+    expect(team["Attendance Marked At"]).toBe(first);
+
+    unmarkTeam(team);
+    expect(team["Attendance Marked At"]).toBeNull();
+  });
+});
+
+describe("mapMemberAttendance", () => {
+  it("should expose per-member state and presence", () => {
+    const team = makeTeam();
+    const at = new Date("2025-04-17T05:10:00Z");
+    markMember(team, "leader", at, "late");
+
+    const absent = {
+      marked: false,
+      markedAt: null,
+      checkedOutAt: null,
+      arrivalStatus: null,
+    };
+    expect(mapMemberAttendance(team)).toEqual({
+      leader_attendance: {
+        marked: true,
+        markedAt: at,
+        checkedOutAt: null,
+        arrivalStatus: "late",
+      },
+      member1_attendance: absent,
+      member2_attendance: absent,
+      presence: "partial",
+    });
+  });
+});
+
+describe("getOnSiteDurations", () => {
+  it("should compute durations per checked in member", () => {
+    const team = makeTeam();
+    markMember(team, "leader", new Date("2025-04-17T05:00:00Z"));
+    markMember(team, "member1", new Date("2025-04-17T05:10:00Z"));
+    checkOutMember(team, "leader", new Date("2025-04-17T07:30:00Z"));
+
+    expect(isCheckedOut(team, "leader")).toBe(true);
+    expect(isCheckedOut(team, "member1")).toBe(false);
+    expect(getOnSiteDurations(team)).toEqual([
+      {
+        member: "leader",
+        name: "Ayesha Khan",
+        checkedInAt: new Date("2025-04-17T05:00:00Z"),
+        checkedOutAt: new Date("2025-04-17T07:30:00Z"),
+        durationMinutes: 150,
+      },
+      {
+        member: "member1",
+        name: "Bilal Ahmed",
+        checkedInAt: new Date("2025-04-17T05:10:00Z"),
+        checkedOutAt: null,
+        durationMinutes: null,
+      },
+    ]);
+  });
+
+  it("should apply a team check-out to members without their own", () => {
+    const team = makeTeam();
+    markMember(team, "leader", new Date("2025-04-17T05:00:00Z"));
+    checkOutTeam(team, new Date("2025-04-17T06:00:00Z"));
+    expect(getOnSiteDurations(team)[0].durationMinutes).toBe(60);
+  });
+
+  it("should fall back to the team-level check-in", () => {
+    const team = makeTeam();
+    markTeam(team, new Date("2025-04-17T05:00:00Z"));
+    checkOutTeam(team, new Date("2025-04-17T05:45:00Z"));
+    expect(getOnSiteDurations(team)).toEqual([
+      {
+        member: null,
+        name: "Segfault Survivors",
+        checkedInAt: new Date("2025-04-17T05:00:00Z"),
+        checkedOutAt: new Date("2025-04-17T05:45:00Z"),
+        durationMinutes: 45,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,173 @@
+// Filtering, sorting and cursor pagination for admin team listings
+const mongoose = require("mongoose");
+const { MEMBER_SLOTS } = require("./teamMembers");
+
+const ARRIVAL_STATUSES = ["early", "on-time", "late"];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// ?sort= values, prefix with - for descending
+const SORT_FIELDS = {
+  name: "Team Name",
+  checked_in: "Attendance Marked At",
+  registered: "createdAt",
+};
+
+/**
+ * Search clause for ?q=, served by the team_search text index on team and
+ * member names, emails and att code. The query is matched as a phrase, whole
+ * words in order and case-insensitively, so "segfault survivors", a full
+ * email address or an att code all find their team.
+ * @param {string} q
+ * @returns {Object}
+ */
+function buildSearchClause(q) {
+  const phrase = q.trim().replace(/["\\]/g, " ");
+  return { $text: { $search: `"${phrase}"` } };
+}
+
+/**
+ * Mongo filter for team listings and exports
+ * @param {Object} query
+ * @param {string} [query.q] - Search across team and member names, emails and
+ *   att code, see buildSearchClause
+ * @param {Object} [query.competition] - Event id, see withCompetitionId
+ * @param {string} [query.attended] - "true" or "false"
+ * @param {string} [query.arrival] - early, on-time or late
+ * @param {string} [query.section] - Any member in this section
+ * @returns {{error: string}|{filter: Object}}
+ */
+function buildTeamFilter({ q, competition, attended, arrival, section }) {
+  const clauses = [];
+  if (competition) {
+    clauses.push({ competition });
+  }
+  if (attended !== undefined) {
+    if (attended !== "true" && attended !== "false") {
+      return { error: "attended must be true or false" };
+    }
+    clauses.push({ "Attendance Marked": attended === "true" });
+  }
+  if (arrival !== undefined) {
+    if (!ARRIVAL_STATUSES.includes(arrival)) {
+      return { error: `arrival must be one of ${ARRIVAL_STATUSES.join(", ")}` };
+    }
+    clauses.push({ "Arrival Status": arrival });
+  }
+  if (section) {
+    clauses.push({
+      $or: Object.values(MEMBER_SLOTS).map((slot) => ({
+        [slot.section]: section,
+      })),
+    });
+  }
+  if (q && q.replace(/["\\]/g, "").trim()) {
+    clauses.push(buildSearchClause(q));
+  }
+
+  if (clauses.length === 0) return { filter: {} };
+  return { filter: clauses.length === 1 ? clauses[0] : { $and: clauses } };
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, String(id)])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Array.isArray(decoded) || decoded.length !== 2) return null;
+    // the id is compared against _id, anything else fails to cast
+    return mongoose.isObjectIdOrHexString(decoded[1]) ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+// teams after [value, id] in (field, _id) order, nulls sort first ascending
+function afterCursor(field, direction, value, id) {
+  if (direction === 1) {
+    return value === null
+      ? { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+      : {
+          $or: [
+            { [field]: { $gt: value } },
+            { [field]: value, _id: { $gt: id } },
+          ],
+        };
+  }
+  return value === null
+    ? { [field]: null, _id: { $lt: id } }
+    : {
+        $or: [
+          { [field]: { $lt: value } },
+          { [field]: value, _id: { $lt: id } },
+          { [field]: null },
+        ],
+      };
+}
+
+/**
+ * Query for one page of a team listing. Pages are keyed by the last team of
+ * the previous page rather than an offset, so teams registering or checking
+ * in while an admin scrolls don't shift or repeat rows.
+ * @param {Object} query - Request query, see buildTeamFilter plus sort, limit, cursor
+ * @returns {{error: string}|{filter: Object, pageFilter: Object, sort: Object, limit: number, field: string}}
+ */
+function buildTeamListQuery(query) {
+  const { filter, error } = buildTeamFilter(query);
+  if (error) return { error };
+
+  const sortParam = query.sort || "name";
+  const direction = sortParam.startsWith("-") ? -1 : 1;
+  const field = SORT_FIELDS[sortParam.replace(/^-/, "")];
+  if (!field) {
+    return {
+      error: `sort must be one of ${Object.keys(SORT_FIELDS).join(", ")}, optionally prefixed with -`,
+    };
+  }
+
+  const limit =
+    query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  let pageFilter = filter;
+  if (query.cursor) {
+    const decoded = decodeCursor(query.cursor);
+    if (!decoded) return { error: "Invalid cursor" };
+    const after = afterCursor(field, direction, decoded[0], decoded[1]);
+    pageFilter = Object.keys(filter).length > 0 ? { $and: [filter, after] } : after;
+  }
+
+  return {
+    filter,
+    pageFilter,
+    sort: { [field]: direction, _id: direction },
+    limit,
+    field,
+  };
+}
+
+/**
+ * Cursor for the page after this one
+ * @param {Array<Object>} teams - One more than the page size was fetched
+ * @param {number} limit
+ * @param {string} field - Sort field
+ * @returns {string|null} null on the last page
+ */
+function nextPageCursor(teams, limit, field) {
+  if (teams.length <= limit) return null;
+  const last = teams[limit - 1];
+  return encodeCursor(last[field] ?? null, last._id);
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_FIELDS,
+  buildTeamFilter,
+  buildTeamListQuery,
+  nextPageCursor,
+};
@@ -0,0 +1,115 @@
+const {
+  MAX_PAGE_SIZE,
+  buildTeamFilter,
+  buildTeamListQuery,
+  nextPageCursor,
+} = require("./teamQuery");
+
+describe("buildTeamFilter", () => {
+  it("should match everything without parameters", () => {
+    expect(buildTeamFilter({})).toEqual({ filter: {} });
+  });
+
+  it("should combine filters", () => {
+    const { filter } = buildTeamFilter({
+      competition: "event-speed",
+      attended: "false",
+      section: "BCS-6A",
+    });
+
+    expect(filter.$and).toEqual([
+      { competition: "event-speed" },
+      { "Attendance Marked": false },
+      {
+        $or: [
+          { "Leader Section": "BCS-6A" },
+          { "Member 1 Section": "BCS-6A" },
+          { "Member 2 Section": "BCS-6A" },
+        ],
+      },
+    ]);
+  });
+
+  it("should search through the text index as a phrase", () => {
+    expect(buildTeamFilter({ q: " a.khan+1@example.com " }).filter).toEqual({
+      $text: { $search: '"a.khan+1@example.com"' },
+    });
+    expect(buildTeamFilter({ q: 'Segfault "Survivors\\' }).filter).toEqual({
+      $text: { $search: '"Segfault  Survivors "' },
+    });
+  });
+
+  it("should ignore searches with nothing to look for", () => {
+    expect(buildTeamFilter({ q: ' " ' }).filter).toEqual({});
+  });
+
+  it("should reject unknown values", () => {
+    expect(buildTeamFilter({ attended: "yes" }).error).toBe(
+      "attended must be true or false"
+    );
+    expect(buildTeamFilter({ arrival: "never" }).error).toMatch(/^arrival/);
+  });
+});
+
+describe("buildTeamListQuery", () => {
+  it("should default to the first page sorted by name", () => {
+    expect(buildTeamListQuery({})).toEqual({
+      filter: {},
+      pageFilter: {},
+      sort: { "Team Name": 1, _id: 1 },
+      limit: 50,
+      field: "Team Name",
+    });
+  });
+
+  it("should continue after the cursor of the previous page", () => {
+    const teams = [
+      { _id: "65f1c0a1e4b0a1a1a1a1a1a1", "Team Name": "Alpha" },
+      { _id: "65f1c0a1e4b0b2b2b2b2b2b2", "Team Name": "Beta" },
+      { _id: "65f1c0a1e4b0c3c3c3c3c3c3", "Team Name": "Gamma" },
+    ];
+    const cursor = nextPageCursor(teams, 2, "Team Name");
+    const query = buildTeamListQuery({
+      competition: "event-speed",
+      limit: "2",
+      cursor,
+    });
+
+    expect(query.pageFilter).toEqual({
+      $and: [
+        { competition: "event-speed" },
+        {
+          $or: [
+            { "Team Name": { $gt: "Beta" } },
+            { "Team Name": "Beta", _id: { $gt: "65f1c0a1e4b0b2b2b2b2b2b2" } },
+          ],
+        },
+      ],
+    });
+    expect(nextPageCursor(teams, 3, "Team Name")).toBeNull();
+  });
+
+  it("should keep teams without a check-in time at the end of descending pages", () => {
+    const cursor = nextPageCursor(
+      [{ _id: "65f1c0a1e4b0a1a1a1a1a1a1", "Attendance Marked At": "2025-03-01T09:00:00.000Z" }, {}],
+      1,
+      "Attendance Marked At"
+    );
+    const { sort, pageFilter } = buildTeamListQuery({ sort: "-checked_in", cursor });
+
+    expect(sort).toEqual({ "Attendance Marked At": -1, _id: -1 });
+    expect(pageFilter.$or).toContainEqual({ "Attendance Marked At": null });
+  });
+
+  it("should reject bad sort, limit and cursor values", () => {
+    expect(buildTeamListQuery({ sort: "size" }).error).toMatch(/^sort/);
+    expect(buildTeamListQuery({ limit: String(MAX_PAGE_SIZE + 1) }).error).toMatch(
+      /^limit/
+    );
+    expect(buildTeamListQuery({ cursor: "not-a-cursor" }).error).toBe(
+      "Invalid cursor"
+    );
+    const badId = Buffer.from(JSON.stringify(["Beta", "b2"])).toString("base64url");
+    expect(buildTeamListQuery({ cursor: badId }).error).toBe("Invalid cursor");
+  });
+});
@@ -0,0 +1,122 @@
+const { CodersCupAttendance, RetiredAttCode } = require("../models/Models");
+const { generateUniqueAttCode } = require("./attCode");
+const { isEventPublished } = require("./eventLifecycle");
+const { MEMBER_SLOTS } = require("./teamMembers");
+const {
+  toTeamFields,
+  validateTeamFields,
+  getMemberEmails,
+} = require("./teamValidation");
+
+// codes in use by a team (deleted ones too, they can be restored) or retired
+// from one are never handed out
+async function isAttCodeTaken(code) {
+  const [team, retired] = await Promise.all([
+    CodersCupAttendance.exists({ "Att Code": code }, { withDeleted: true }),
+    RetiredAttCode.exists({ attCode: code }),
+  ]);
+  return Boolean(team || retired);
+}
+
+/**
+ * A new att code no team has had before
+ * @returns {Promise<string>}
+ */
+function generateTeamAttCode() {
+  return generateUniqueAttCode(isAttCodeTaken);
+}
+
+/**
+ * Members of a team who are already registered with another team in the same
+ * competition, matched by email address and the leader's CNIC
+ * @param {Object} fields - CodersCupAttendance fields
+ * @param {Object} competition - Event id
+ * @param {Object} [excludeTeamId] - The team itself, when updating it
+ * @returns {Promise<Array<string>>} Error messages, empty when there are none
+ */
+async function findMemberConflicts(fields, competition, excludeTeamId = null) {
+  const emails = getMemberEmails(fields);
+  const conditions = Object.values(MEMBER_SLOTS).map((slot) => ({
+    [slot.email]: { $in: emails },
+  }));
+  if (fields["Leader CNIC"]) {
+    conditions.push({ "Leader CNIC": fields["Leader CNIC"] });
+  }
+
+  const filter = { competition, $or: conditions };
+  if (excludeTeamId) {
+    filter._id = { $ne: excludeTeamId };
+  }
+  const teams = await CodersCupAttendance.find(filter);
+
+  const conflicts = [];
+  for (const team of teams) {
+    for (const email of emails) {
+      if (getMemberEmails(team).includes(email)) {
+        conflicts.push(`${email} is already registered with team "${team["Team Name"]}"`);
+      }
+    }
+    if (fields["Leader CNIC"] && team["Leader CNIC"] === fields["Leader CNIC"]) {
+      conflicts.push(`CNIC ${fields["Leader CNIC"]} is already registered with team "${team["Team Name"]}"`);
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Whether teams can register themselves for an event, only between
+ * registration_opens_at and registration_closes_at of a published event
+ * @param {Object} event
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isRegistrationOpen(event, now = new Date()) {
+  if (
+    !event ||
+    !isEventPublished(event) ||
+    !event.registration_opens_at ||
+    !event.registration_closes_at
+  ) {
+    return false;
+  }
+  return (
+    now >= new Date(event.registration_opens_at) &&
+    now <= new Date(event.registration_closes_at)
+  );
+}
+
+/**
+ * Validate a registration and create the team with a fresh att code
+ * @param {Object} body - Registration request body
+ * @param {Object} event - Event document the team registers for
+ * @returns {Promise<{team: Object}|{errors: Array<string>, conflict: boolean}>}
+ */
+async function registerTeam(body, event) {
+  const fields = toTeamFields(body);
+  const errors = validateTeamFields(fields, {
+    minTeamSize: event.min_team_size,
+    maxTeamSize: event.max_team_size,
+  });
+  if (errors.length > 0) {
+    return { errors, conflict: false };
+  }
+
+  const conflicts = await findMemberConflicts(fields, event._id);
+  if (conflicts.length > 0) {
+    return { errors: conflicts, conflict: true };
+  }
+
+  const team = await CodersCupAttendance.create({
+    ...fields,
+    competition: event._id,
+    "Att Code": await generateTeamAttCode(),
+  });
+  return { team };
+}
+
+module.exports = {
+  isRegistrationOpen,
+  generateTeamAttCode,
+  findMemberConflicts,
+  registerTeam,
+};
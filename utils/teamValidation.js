@@ -0,0 +1,184 @@
+// Validation of team registrations
+const { MEMBER_SLOTS } = require("./teamMembers");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CNIC_PATTERN = /^\d{5}-?\d{7}-?\d$/; // 42101-1234567-1, dashes optional
+const PHONE_PATTERN = /^(\+92|0092|0)3\d{2}-?\d{7}$/; // Pakistani mobile numbers
+
+// the schema has a slot for a leader and two members
+const MAX_TEAM_SIZE = Object.keys(MEMBER_SLOTS).length;
+
+// request body keys -> CodersCupAttendance fields
+const REGISTRATION_FIELDS = {
+  team_info: "Team Information",
+  team_name: "Team Name",
+  vjudge_username: "Vjudge username",
+  leader_name: "Leader Name",
+  leader_email: "Leader Email Address",
+  leader_section: "Leader Section",
+  leader_cnic: "Leader CNIC",
+  leader_phone: "Leader Phone Number",
+  member1_name: "Member 1 Name",
+  member1_email: "Member 1 Email Address",
+  member1_section: "Member 1 Section",
+  member2_name: "Member 2 Name",
+  member2_email: "Member 2 Email Address",
+  member2_section: "Member 2 Section",
+};
+
+/**
+ * Map a registration request body onto team fields, trimming every value,
+ * lower-casing emails and adding the dashes to a CNIC given without them
+ * @param {Object} body
+ * @returns {Object} CodersCupAttendance fields
+ */
+function toTeamFields(body) {
+  const fields = {};
+  for (const [key, field] of Object.entries(REGISTRATION_FIELDS)) {
+    const value = body[key] == null ? "" : String(body[key]).trim();
+    fields[field] = field.endsWith("Email Address") ? value.toLowerCase() : value;
+  }
+  fields["Leader CNIC"] = fields["Leader CNIC"].replace(
+    /^(\d{5})(\d{7})(\d)$/,
+    "$1-$2-$3"
+  );
+  return fields;
+}
+
+/**
+ * Registration body of an existing team, the inverse of toTeamFields
+ * @param {Object} team - CodersCupAttendance document
+ * @returns {Object}
+ */
+function toRegistrationBody(team) {
+  const body = {};
+  for (const [key, field] of Object.entries(REGISTRATION_FIELDS)) {
+    body[key] = team[field];
+  }
+  return body;
+}
+
+/**
+ * Number of people on a team, the leader plus every named member
+ * @param {Object} fields - CodersCupAttendance fields
+ * @returns {number}
+ */
+function getTeamSize(fields) {
+  return Object.values(MEMBER_SLOTS).filter((slot) => fields[slot.name]).length;
+}
+
+/**
+ * Validate a registration against formats and the event's team size limits
+ * @param {Object} fields - CodersCupAttendance fields, from toTeamFields
+ * @param {Object} [options]
+ * @param {number} [options.minTeamSize]
+ * @param {number} [options.maxTeamSize]
+ * @param {Array<string>} [options.fieldNames] - Only run the checks involving
+ *   these fields, e.g. the ones an edit changes, so an existing team's other
+ *   values don't have to meet today's formats. All checks by default.
+ * @returns {Array<string>} Error messages, empty when the registration is valid
+ */
+function validateTeamFields(
+  fields,
+  { minTeamSize = 1, maxTeamSize = MAX_TEAM_SIZE, fieldNames = null } = {}
+) {
+  const involves = (...names) =>
+    !fieldNames || names.some((name) => fieldNames.includes(name));
+  const errors = [];
+  if (involves("Team Name") && !fields["Team Name"]) {
+    errors.push("Team name is required");
+  }
+  if (involves("Leader Name") && !fields["Leader Name"]) {
+    errors.push("Leader name is required");
+  }
+  if (
+    involves("Member 1 Name", "Member 2 Name") &&
+    fields["Member 2 Name"] &&
+    !fields["Member 1 Name"]
+  ) {
+    errors.push("Member 1 must be filled in before Member 2");
+  }
+
+  const emailFields = new Map(); // email -> field of the slot it was first seen on
+  for (const slot of Object.values(MEMBER_SLOTS)) {
+    const name = fields[slot.name];
+    const email = fields[slot.email];
+    const checked = involves(slot.name, slot.email);
+    if (!name) {
+      if (email && checked) errors.push(`${slot.label} email given without a name`);
+      continue;
+    }
+    if (!email) {
+      if (checked) errors.push(`${slot.label} email is required`);
+    } else if (!EMAIL_PATTERN.test(email)) {
+      if (checked) {
+        errors.push(`${slot.label} email "${email}" is not a valid email address`);
+      }
+    } else if (emailFields.has(email)) {
+      if (involves(slot.email, emailFields.get(email))) {
+        errors.push(`${slot.label} email "${email}" is used twice on this team`);
+      }
+    } else {
+      emailFields.set(email, slot.email);
+    }
+  }
+
+  if (
+    involves("Leader CNIC") &&
+    fields["Leader CNIC"] &&
+    !CNIC_PATTERN.test(fields["Leader CNIC"])
+  ) {
+    errors.push("Leader CNIC must look like 42101-1234567-1");
+  }
+  const phone = fields["Leader Phone Number"].replace(/\s/g, "");
+  if (involves("Leader Phone Number") && phone && !PHONE_PATTERN.test(phone)) {
+    errors.push("Leader phone number must be a mobile number like 0300-1234567");
+  }
+
+  const size = getTeamSize(fields);
+  const maxSize = Math.min(maxTeamSize, MAX_TEAM_SIZE);
+  const sizeFields = Object.values(MEMBER_SLOTS).map((slot) => slot.name);
+  if (involves(...sizeFields) && (size < minTeamSize || size > maxSize)) {
+    errors.push(`Teams must have between ${minTeamSize} and ${maxSize} members`);
+  }
+  return errors;
+}
+
+/**
+ * Email addresses of everyone on a team
+ * @param {Object} fields - CodersCupAttendance fields
+ * @returns {Array<string>}
+ */
+function getMemberEmails(fields) {
+  return Object.values(MEMBER_SLOTS)
+    .map((slot) => fields[slot.email])
+    .filter(Boolean);
+}
+
+/**
+ * Registration fields that differ between a team and new values for it
+ * @param {Object} team - CodersCupAttendance document
+ * @param {Object} fields - New values, from toTeamFields
+ * @param {Array<string>} [fieldNames] - Fields to compare, all registration fields by default
+ * @returns {Array<{field: string, from: string, to: string}>}
+ */
+function getFieldChanges(
+  team,
+  fields,
+  fieldNames = Object.values(REGISTRATION_FIELDS)
+) {
+  return fieldNames
+    .filter((field) => (team[field] || "") !== fields[field])
+    .map((field) => ({ field, from: team[field] || "", to: fields[field] }));
+}
+
+module.exports = {
+  MAX_TEAM_SIZE,
+  REGISTRATION_FIELDS,
+  toTeamFields,
+  toRegistrationBody,
+  getFieldChanges,
+  getTeamSize,
+  validateTeamFields,
+  getMemberEmails,
+};
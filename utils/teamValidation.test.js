@@ -0,0 +1,114 @@
+const {
+  toTeamFields,
+  toRegistrationBody,
+  getFieldChanges,
+  getTeamSize,
+  validateTeamFields,
+} = require("./teamValidation");
+
+const body = {
+  team_name: " Segfault Survivors ",
+  leader_name: "Ayesha Khan",
+  leader_email: "Ayesha@Example.com",
+  leader_cnic: "4210112345671",
+  leader_phone: "0300 1234567",
+  member1_name: "Bilal Ahmed",
+  member1_email: "bilal@example.com",
+};
+
+describe("toTeamFields", () => {
+  it("should trim values, lower-case emails and format the CNIC", () => {
+    const fields = toTeamFields(body);
+
+    expect(fields["Team Name"]).toBe("Segfault Survivors");
+    expect(fields["Leader Email Address"]).toBe("ayesha@example.com");
+    expect(fields["Leader CNIC"]).toBe("42101-1234567-1");
+    expect(fields["Member 2 Name"]).toBe("");
+  });
+});
+
+describe("validateTeamFields", () => {
+  it("should accept a valid team", () => {
+    const fields = toTeamFields(body);
+
+    expect(getTeamSize(fields)).toBe(2);
+    expect(validateTeamFields(fields)).toEqual([]);
+  });
+
+  it("should reject bad emails, CNICs and phone numbers", () => {
+    const errors = validateTeamFields(
+      toTeamFields({
+        ...body,
+        leader_email: "ayesha",
+        leader_cnic: "123",
+        leader_phone: "021-1234567",
+      })
+    );
+
+    expect(errors).toEqual([
+      'Leader email "ayesha" is not a valid email address',
+      "Leader CNIC must look like 42101-1234567-1",
+      "Leader phone number must be a mobile number like 0300-1234567",
+    ]);
+  });
+
+  it("should reject an email used twice on a team", () => {
+    const errors = validateTeamFields(
+      toTeamFields({ ...body, member1_email: "ayesha@example.com" })
+    );
+
+    expect(errors).toEqual([
+      'Member 1 email "ayesha@example.com" is used twice on this team',
+    ]);
+  });
+
+  it("should only run the checks involving the given fields", () => {
+    const fields = toTeamFields({
+      ...body,
+      team_name: "Segfault Survivor",
+      leader_phone: "021-1234567",
+      leader_cnic: "123",
+    });
+
+    expect(validateTeamFields(fields, { fieldNames: ["Team Name"] })).toEqual([]);
+    expect(
+      validateTeamFields(fields, { fieldNames: ["Leader Phone Number"] })
+    ).toEqual(["Leader phone number must be a mobile number like 0300-1234567"]);
+  });
+
+  it("should catch an edited email clashing with an unedited one", () => {
+    const fields = toTeamFields({ ...body, leader_email: body.member1_email });
+
+    expect(
+      validateTeamFields(fields, { fieldNames: ["Leader Email Address"] })
+    ).toEqual([
+      `Member 1 email "${body.member1_email}" is used twice on this team`,
+    ]);
+  });
+
+  it("should enforce the event's team size limits", () => {
+    const fields = toTeamFields(body);
+
+    expect(validateTeamFields(fields, { minTeamSize: 3 })).toEqual([
+      "Teams must have between 3 and 3 members",
+    ]);
+    expect(validateTeamFields(fields, { maxTeamSize: 1 })).toEqual([
+      "Teams must have between 1 and 1 members",
+    ]);
+  });
+});
+
+describe("getFieldChanges", () => {
+  it("should list only the fields that differ", () => {
+    const team = toTeamFields(body);
+    const fields = toTeamFields({
+      ...toRegistrationBody(team),
+      member1_name: "Bilal Ahmad",
+    });
+
+    expect(getFieldChanges(team, fields)).toEqual([
+      { field: "Member 1 Name", from: "Bilal Ahmed", to: "Bilal Ahmad" },
+    ]);
+    expect(getFieldChanges(team, fields, ["Team Name"])).toEqual([]);
+  });
+});
@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+
+const DEFAULT_ROTATION_SECONDS = 30;
+
+function getSecret() {
+  const secret = process.env.VENUE_QR_SECRET;
+  if (!secret) {
+    throw new Error("VENUE_QR_SECRET is not configured");
+  }
+  return secret;
+}
+
+function sign(eventId, slot) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`${eventId}.${slot}`)
+    .digest("hex");
+}
+
+// seconds a code stays on screen before the next one replaces it
+function getRotationSeconds(event) {
+  return event.qr_rotation_seconds || DEFAULT_ROTATION_SECONDS;
+}
+
+// index of the rotation window a time falls in
+function getSlot(event, now) {
+  return Math.floor(now / (getRotationSeconds(event) * 1000));
+}
+
+/**
+ * Token for the venue QR code currently on display
+ * @param {Object} event - Event document
+ * @param {number} [now] - ms since epoch
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function issueVenueToken(event, now = Date.now()) {
+  const eventId = String(event._id);
+  const slot = getSlot(event, now);
+  return {
+    token: `${eventId}.${slot}.${sign(eventId, slot)}`,
+    expiresAt: new Date((slot + 1) * getRotationSeconds(event) * 1000),
+  };
+}
+
+/**
+ * Check a scanned venue token against the team's event. The code that was on
+ * screen just before the current one is still accepted, so a scan taken right
+ * before a rotation does not fail.
+ * @param {string} token - Token returned by issueVenueToken
+ * @param {Object} event - Event document of the team submitting it
+ * @param {number} [now] - ms since epoch
+ * @returns {{valid: boolean, reason?: string}}
+ */
+function verifyVenueToken(token, event, now = Date.now()) {
+  if (typeof token !== "string") {
+    return { valid: false, reason: "QR code missing" };
+  }
+
+  const [eventId, slotStr, signature] = token.split(".");
+  const slot = Number(slotStr);
+  if (!eventId || !signature || !Number.isInteger(slot)) {
+    return { valid: false, reason: "Malformed QR code" };
+  }
+
+  const expected = Buffer.from(sign(eventId, slot), "hex");
+  const received = Buffer.from(signature, "hex");
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return { valid: false, reason: "Invalid QR code signature" };
+  }
+
+  if (eventId !== String(event._id)) {
+    return { valid: false, reason: "QR code belongs to a different event" };
+  }
+
+  const current = getSlot(event, now);
+  if (slot !== current && slot !== current - 1) {
+    return { valid: false, reason: "QR code expired, scan the current one" };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Render a venue token as a QR code image
+ * @param {string} token
+ * @returns {Promise<string>} PNG data URL
+ */
+function renderVenueQr(token) {
+  return QRCode.toDataURL(token, { errorCorrectionLevel: "M", margin: 2 });
+}
+
+module.exports = {
+  DEFAULT_ROTATION_SECONDS,
+  issueVenueToken,
+  verifyVenueToken,
+  renderVenueQr,
+};
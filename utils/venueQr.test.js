@@ -0,0 +1,54 @@
+const { issueVenueToken, verifyVenueToken, renderVenueQr } = require("./venueQr");
+
+const event = { _id: "event-speed", qr_rotation_seconds: 30 };
+const now = Date.UTC(2025, 3, 17, 5, 0, 10);
+
+beforeAll(() => {
+  process.env.VENUE_QR_SECRET = "test-secret";
+});
+
+describe("venue QR tokens", () => {
+  it("should accept the code currently on display", () => {
+    const { token, expiresAt } = issueVenueToken(event, now);
+
+    expect(expiresAt).toEqual(new Date(Date.UTC(2025, 3, 17, 5, 0, 30)));
+    expect(verifyVenueToken(token, event, now)).toEqual({ valid: true });
+  });
+
+  it("should still accept the previous code", () => {
+    const { token } = issueVenueToken(event, now);
+
+    expect(verifyVenueToken(token, event, now + 30 * 1000).valid).toBe(true);
+    expect(verifyVenueToken(token, event, now + 60 * 1000)).toEqual({
+      valid: false,
+      reason: "QR code expired, scan the current one",
+    });
+  });
+
+  it("should reject codes for other events", () => {
+    const { token } = issueVenueToken({ ...event, _id: "event-sql" }, now);
+
+    expect(verifyVenueToken(token, event, now).reason).toBe(
+      "QR code belongs to a different event"
+    );
+  });
+
+  it("should reject tampered codes", () => {
+    const { token } = issueVenueToken(event, now);
+    const [eventId, slot, signature] = token.split(".");
+
+    expect(
+      verifyVenueToken(`${eventId}.${Number(slot) + 1}.${signature}`, event, now)
+        .reason
+    ).toBe("Invalid QR code signature");
+    expect(verifyVenueToken("not-a-token", event, now).reason).toBe(
+      "Malformed QR code"
+    );
+  });
+
+  it("should render a PNG data URL", async () => {
+    const { token } = issueVenueToken(event, now);
+
+    expect(await renderVenueQr(token)).toMatch(/^data:image\/png;base64,/);
+  });
+});